@@ -1,6 +1,12 @@
 import { WebSocket } from 'ws';
+import { nanoid } from 'nanoid';
+import { readPacket, writePacket } from './packets.js';
+import { openSimulatedSocket } from './SimulatedWorld.js';
 global.WebSocket = WebSocket;
 
+// Talk to an in-process SimulatedWorld instead of Hyperfy
+export const SIMULATOR = ['1', 'true'].includes(process.env.SIMULATOR);
+
 // Simple EventEmitter polyfill (since we removed the Hyperfy client)
 class EventEmitter {
   constructor() {
@@ -33,14 +39,36 @@ class EventEmitter {
 
 const round2 = (n) => Math.round(n * 100) / 100;
 
-const DIRECTION_KEYS = {
-  forward: 'keyW',
-  backward: 'keyS',
-  left: 'keyA',
-  right: 'keyD',
-  jump: 'space',
-  action: 'keyE',
+// Rotation about Y from a [x, y, z, w] quaternion (three.js YXZ convention, 0 = facing -Z)
+const yawFromQuaternion = ([x, y, z, w]) => Math.atan2(2 * (w * y + x * z), 1 - 2 * (x * x + y * y));
+
+// Local move axis [x, y, z] sent with agentInput, -Z is forward (same as PlayerLocal)
+const DIRECTION_AXES = {
+  forward: [0, 0, -1],
+  backward: [0, 0, 1],
+  left: [-1, 0, 0],
+  right: [1, 0, 0],
 };
+const STOP_AXIS = [0, 0, 0];
+export const MOVE_DIRECTIONS = [...Object.keys(DIRECTION_AXES), 'jump'];
+
+// Must match the speeds in hyperfy's ServerAgents so ETAs line up with reality
+const WALK_SPEED = 3;
+const RUN_SPEED = 6;
+
+export const NAV_TICK_MS = 200;
+const WAYPOINT_RADIUS = 0.6;
+const STUCK_DISTANCE = 0.3; // less progress than this over STUCK_TICKS means we're blocked
+const STUCK_TICKS = 8;
+const MAX_REPLANS = 5;
+const RETARGET_DISTANCE = 2; // re-plan once a followed target strays this far from our plan
+const PATH_TIMEOUT_MS = 5000;
+// Rough speaking rate, used to flag chat-only agents as speaking while their line would be said out loud
+const SPEECH_MS_PER_CHAR = 70;
+const MIN_SPEECH_MS = 1000;
+// playAudio streams clips in real time, slightly ahead so listeners' jitter buffers never run dry
+const PLAYBACK_CHUNK_MS = 40;
+const PLAYBACK_LEAD_MS = 200;
 
 const DIRECTION_YAWS = {
   forward: 0,
@@ -49,6 +77,29 @@ const DIRECTION_YAWS = {
   right: -Math.PI / 2,
 };
 
+// How long it takes to say `text` out loud, roughly
+export function estimateSpeechMs(text) {
+  return Math.max(MIN_SPEECH_MS, text.length * SPEECH_MS_PER_CHAR);
+}
+
+// Returns an error message if Hyperfy won't accept this PCM format, or null
+export function validateAudioFormat({ sampleRate = 24000, channels = 1, format = 's16' } = {}) {
+  if (format !== 'f32' && format !== 's16') {
+    return `Invalid format: ${format}. Use 'f32' or 's16'`;
+  }
+  if (channels !== 1 && channels !== 2) {
+    return 'Channels must be 1 or 2';
+  }
+  if (!(sampleRate >= 8000 && sampleRate <= 48000)) {
+    return 'Sample rate must be between 8000 and 48000';
+  }
+  return null;
+}
+
+export function pcmDurationMs(bytes, { sampleRate = 24000, channels = 1, format = 's16' } = {}) {
+  return (bytes / ((format === 'f32' ? 4 : 2) * channels * sampleRate)) * 1000;
+}
+
 export class AgentConnection {
   constructor(id, name, avatar) {
     this.id = id;
@@ -63,15 +114,25 @@ export class AgentConnection {
     this._navResolve = null;
     this._navReject = null;
     this._navRunning = false;
+    this._pathRequests = new Map(); // requestId → { resolve, reject, timer }
+    this._emoteTimer = null;
     this._currentStreamId = null;
     this._audioSeq = 0;
     this._playbackTimer = null;
     this._playbackCleanup = null;
+    this._speakingUntil = 0;
+    // Movement intent; Hyperfy's ServerAgents system simulates the body from this
+    this._input = { axis: STOP_AXIS, run: false, jump: false, yaw: null };
+    this.authToken = null;
+    this.latency = null;
+    this.players = new Map(); // playerId → { id, name, avatar, sessionAvatar, position, quaternion, emote }
 
     // Callback hooks
     this.onWorldChat = null;
-    this.onKick = null;
+    this.onKicked = null;
     this.onDisconnect = null;
+    this.onPlayerUpdate = null; // (player) whenever a player in our mirror appears or moves
+    this.onPlayerRemoved = null; // (playerId)
   }
 
   connect(wsUrl) {
@@ -84,86 +145,79 @@ export class AgentConnection {
         reject(new Error('Connection timed out'));
       }, 15000);
 
-      this.ws = new WebSocket(wsUrl);
+      // Hyperfy's ServerNetwork.onConnection reads these from the query string
+      const url = new URL(wsUrl);
+      url.searchParams.set('name', this.name);
+      url.searchParams.set('agent', 'true'); // lets us send agentInput / agentPath
+      if (this.avatar) url.searchParams.set('avatar', this.avatar);
+      if (this.authToken) url.searchParams.set('authToken', this.authToken);
+
+      this.ws = SIMULATOR ? openSimulatedSocket(url.toString()) : new WebSocket(url.toString());
 
-      // Fake "world" object for event compatibility
+      // Minimal "world" facade so callers can use the same shape as a Hyperfy client
       this.world = {
         events: new EventEmitter(),
         chat: {
           send: (text) => {
-            if (this.ws.readyState === WebSocket.OPEN) {
-              this.ws.send(JSON.stringify({ type: 'chat', message: text }));
-            }
+            const msg = {
+              id: nanoid(10),
+              from: this.name,
+              fromId: this.getPlayerId(),
+              body: text,
+              createdAt: new Date().toISOString(),
+            };
+            this.send('chatAdded', msg);
+            return msg;
           }
         },
         network: {
-          send: (type, data) => {
-            if (this.ws.readyState === WebSocket.OPEN) {
-              this.ws.send(JSON.stringify({ type, ...data }));
-            }
-          },
-          id: null // will be set on first message if needed
-        },
-        controls: {
-          simulateLook: (yaw) => {
-            // Optional: send look command if protocol supports it
-            if (yaw !== null) {
-              this.ws.send(JSON.stringify({ type: 'look', yaw }));
-            }
-          },
-          simulateButton: (key, state) => {
-            // Send key press/release
-            this.ws.send(JSON.stringify({ type: 'input', key, state }));
-          }
+          send: (name, data) => this.send(name, data),
+          id: null, // set from the snapshot packet
         },
         destroy: () => {
           this.ws?.close();
         }
       };
 
-      this.ws.onopen = () => {
+      let joined = false;
+      this._onSnapshotReceived = () => {
+        joined = true;
         clearTimeout(timeout);
         this.status = 'connected';
-        console.log(`Agent ${this.name} (${this.id}) connected to Hyperfy WS`);
-
-        // Emit 'ready' event to match original
+        console.log(`Agent ${this.name} (${this.id}) joined Hyperfy as player ${this.getPlayerId()}`);
         this.world.events.emit('ready');
-
         resolve();
       };
 
-      this.ws.onmessage = (event) => {
-        try {
-          // Skip binary messages (like position updates from Hyperfy)
-          if (typeof event.data !== 'string') {
-            return;
-          }
-
-          const data = JSON.parse(event.data);
-
-          // Handle chat messages
-          if (data.type === 'chat' && this._chatListener) {
-            this._chatListener(data.message || data);
-          }
+      this._onKickedBeforeReady = (code) => {
+        clearTimeout(timeout);
+        reject(new Error(`Kicked by Hyperfy: ${code}`));
+      };
 
-          // Handle kick
-          if (data.type === 'kick') {
-            this.status = 'kicked';
-            console.log(`Agent ${this.name} (${this.id}) kicked: ${data.code}`);
-            if (this.onKick) this.onKick(data.code);
-          }
+      this.ws.onopen = () => {
+        console.log(`Agent ${this.name} (${this.id}) connected to Hyperfy WS, awaiting snapshot`);
+      };
 
-          // Optional: handle other message types (position updates, etc.)
+      this.ws.onmessage = (event) => {
+        // Hyperfy only speaks msgpack; any text frame is not for us
+        if (typeof event.data === 'string') return;
+        const [method, data] = readPacket(event.data);
+        if (!method) return;
+        try {
+          this[method]?.(data);
         } catch (err) {
-          // Only log if it was a string message that failed to parse
-          if (typeof event.data === 'string') {
-            console.error('Invalid WS message:', err.message);
-          }
+          console.error(`Agent ${this.name} (${this.id}) failed to handle ${method}:`, err.message);
         }
       };
 
       this.ws.onclose = () => {
         clearTimeout(timeout);
+        if (!joined) {
+          // Never joined — the connect() promise has (or will have) rejected instead
+          if (this.status === 'connecting') this.status = 'error';
+          reject(new Error('Connection closed before snapshot'));
+          return;
+        }
         if (this.status !== 'disconnected') {
           this.status = 'disconnected';
           console.log(`Agent ${this.name} (${this.id}) disconnected`);
@@ -174,31 +228,154 @@ export class AgentConnection {
       this.ws.onerror = (err) => {
         clearTimeout(timeout);
         this.status = 'error';
-        console.error(`Agent ${this.name} (${this.id}) WS error:`, err);
+        console.error(`Agent ${this.name} (${this.id}) WS error:`, err.message);
         reject(err);
       };
     });
   }
 
+  send(name, data) {
+    if (this.ws?.readyState !== WebSocket.OPEN) return;
+    this.ws.send(writePacket(name, data));
+  }
+
+  ping() {
+    this.send('ping', performance.now());
+  }
+
+  // ---------------------------------------------------------------------------
+  // Packet handlers (dispatched by readPacket method name)
+  // ---------------------------------------------------------------------------
+  onSnapshot(data) {
+    this.world.network.id = data.id;
+    this.authToken = data.authToken;
+    this.players.clear();
+    for (const entity of data.entities || []) {
+      this._trackEntity(entity);
+      this.world.events.emit('entityAdded', entity);
+    }
+    // Claim a server-side body straight away so gravity applies before the first move
+    this._sendInput();
+    this._onSnapshotReceived?.();
+    this._onSnapshotReceived = null;
+    this._onKickedBeforeReady = null;
+  }
+
+  onChatAdded(msg) {
+    this.world.events.emit('chat', msg);
+    if (this._chatListener) this._chatListener(msg);
+    if (this.onWorldChat) this.onWorldChat(msg);
+  }
+
+  onChatCleared() {
+    this.world.events.emit('chatCleared');
+  }
+
+  onEntityAdded(data) {
+    this._trackEntity(data);
+    this.world.events.emit('entityAdded', data);
+  }
+
+  onEntityModified(data) {
+    const player = this.players.get(data.id);
+    if (player) {
+      if (data.hasOwnProperty('p')) player.position = data.p;
+      if (data.hasOwnProperty('q')) player.quaternion = data.q;
+      if (data.hasOwnProperty('e')) player.emote = data.e;
+      if (data.hasOwnProperty('name')) player.name = data.name;
+      if (data.hasOwnProperty('avatar')) player.avatar = data.avatar;
+      if (data.hasOwnProperty('sessionAvatar')) player.sessionAvatar = data.sessionAvatar;
+      if (data.hasOwnProperty('p') && this.onPlayerUpdate) this.onPlayerUpdate(player);
+    }
+    this.world.events.emit('entityModified', data);
+  }
+
+  onEntityRemoved(id) {
+    if (this.players.delete(id) && this.onPlayerRemoved) this.onPlayerRemoved(id);
+    this.world.events.emit('entityRemoved', id);
+  }
+
+  onAgentPath({ requestId, path, length, error }) {
+    const request = this._pathRequests.get(requestId);
+    if (!request) return;
+    clearTimeout(request.timer);
+    this._pathRequests.delete(requestId);
+    if (error === 'rate_limited') request.reject(new Error('Too many path requests, try again shortly'));
+    else request.resolve(path ? { path, length: round2(length) } : null);
+  }
+
+  onKick(code) {
+    console.log(`Agent ${this.name} (${this.id}) kicked: ${code}`);
+    if (this._onKickedBeforeReady) {
+      this.status = 'error';
+      this._onKickedBeforeReady(code);
+      this._onKickedBeforeReady = null;
+      this._onSnapshotReceived = null;
+      return;
+    }
+    this.status = 'kicked';
+    if (this.onKicked) this.onKicked(code);
+  }
+
+  onPong(time) {
+    this.latency = Math.round(performance.now() - time);
+  }
+
   // The rest of your class remains unchanged
   getPlayerId() {
     return this.world?.network?.id ?? null;
   }
 
   getPosition() {
-    // Placeholder - implement if Hyperfy sends position updates
-    return null;
+    const player = this._getOwnPlayer();
+    if (!player?.position) return null;
+    const [x, y, z] = player.position;
+    return { x: round2(x), y: round2(y), z: round2(z) };
   }
 
   getYaw() {
-    return null;
+    const player = this._getOwnPlayer();
+    if (!player?.quaternion) return null;
+    return round2(yawFromQuaternion(player.quaternion));
+  }
+
+  // Horizontal distance to another player, from our own mirror of the world. Null if either position is unknown.
+  distanceTo(playerId) {
+    const own = this._getOwnPlayer()?.position;
+    const other = this.players.get(playerId)?.position;
+    if (!own || !other) return null;
+    return round2(Math.hypot(own[0] - other[0], own[2] - other[2]));
+  }
+
+  _getOwnPlayer() {
+    const playerId = this.getPlayerId();
+    return playerId ? this.players.get(playerId) || null : null;
+  }
+
+  _trackEntity(data) {
+    if (data.type !== 'player') return;
+    this.players.set(data.id, {
+      id: data.id,
+      name: data.name,
+      avatar: data.avatar,
+      sessionAvatar: data.sessionAvatar || null,
+      position: data.position,
+      quaternion: data.quaternion,
+      emote: data.emote || null,
+    });
+    if (this.onPlayerUpdate) this.onPlayerUpdate(this.players.get(data.id));
   }
 
   speak(text) {
     if (this.status !== 'connected') {
       throw new Error(`Agent is not connected (status: ${this.status})`);
     }
-    this.world.chat.send(text);
+    this._speakingUntil = Date.now() + estimateSpeechMs(text);
+    return this.world.chat.send(text);
+  }
+
+  isSpeaking() {
+    return !!this._currentStreamId || !!this._playbackTimer || Date.now() < this._speakingUntil;
   }
 
   face(yawOrDirection) {
@@ -207,15 +384,15 @@ export class AgentConnection {
     }
     this.cancelNavigation();
     if (typeof yawOrDirection === 'number') {
-      this.world.controls.simulateLook(yawOrDirection);
+      this._sendInput({ yaw: yawOrDirection });
     } else if (typeof yawOrDirection === 'string') {
       const yaw = DIRECTION_YAWS[yawOrDirection];
       if (yaw === undefined) {
         throw new Error(`Invalid direction: ${yawOrDirection}`);
       }
-      this.world.controls.simulateLook(yaw);
+      this._sendInput({ yaw });
     } else if (yawOrDirection === null) {
-      this.world.controls.simulateLook(null);
+      this._sendInput({ yaw: null });
     }
   }
 
@@ -224,36 +401,149 @@ export class AgentConnection {
       throw new Error(`Agent is not connected (status: ${this.status})`);
     }
     this.cancelNavigation();
-    const key = DIRECTION_KEYS[direction];
-    if (!key) {
+    this._stopEmote();
+    if (direction === 'jump') {
+      this._sendInput({ jump: true });
+      return;
+    }
+    const axis = DIRECTION_AXES[direction];
+    if (!axis) {
       throw new Error(`Invalid direction: ${direction}`);
     }
-    if (run) this.world.controls.simulateButton('shiftLeft', true);
-    this.world.controls.simulateButton(key, true);
+    // A new move replaces the previous one rather than stacking with it
+    this._clearMoveTimers();
+    this._sendInput({ axis, run });
     const timer = setTimeout(() => {
-      this.world.controls.simulateButton(key, false);
-      if (run) this.world.controls.simulateButton('shiftLeft', false);
+      this._sendInput({ axis: STOP_AXIS, run: false });
       const idx = this._moveTimers.indexOf(timer);
       if (idx !== -1) this._moveTimers.splice(idx, 1);
     }, durationMs);
     this._moveTimers.push(timer);
   }
 
-  navigateTo(targetX, targetZ, { arrivalRadius = 2.0, timeout = 30000, getTargetPos = null, run = false } = {}) {
-    // Same as original - uses simulateLook and simulateButton
+  // Plays an emote clip (null clears it). With a duration it is cleared again afterwards.
+  emote(url, durationMs = null) {
+    if (this.status !== 'connected') {
+      throw new Error(`Agent is not connected (status: ${this.status})`);
+    }
+    this._clearEmoteTimer();
+    this._sendEmote(url);
+    if (url && durationMs) {
+      this._emoteTimer = setTimeout(() => {
+        this._emoteTimer = null;
+        this._sendEmote(null);
+      }, durationMs);
+    }
+  }
+
+  getEmote() {
+    return this._getOwnPlayer()?.emote || null;
+  }
+
+  // Rename our player for everyone in the world. Like emotes, Hyperfy doesn't echo it back.
+  setName(name) {
+    this.name = name;
+    const player = this._getOwnPlayer();
+    if (!player) return;
+    player.name = name;
+    this.send('entityModified', { id: player.id, name });
+  }
+
+  _sendEmote(url) {
+    const player = this._getOwnPlayer();
+    if (!player) return;
+    // Hyperfy relays this to everyone else but not back to us, so update our mirror too
+    player.emote = url;
+    this.send('entityModified', { id: player.id, e: url });
+  }
+
+  // Walking off ends whatever we were doing, like it does for browser players
+  _stopEmote() {
+    this._clearEmoteTimer();
+    if (this.getEmote()) this._sendEmote(null);
+  }
+
+  _clearEmoteTimer() {
+    if (this._emoteTimer) {
+      clearTimeout(this._emoteTimer);
+      this._emoteTimer = null;
+    }
+  }
+
+  // Asks the Hyperfy server for an obstacle-aware path. Resolves { path, length } or null if unreachable.
+  planPath(targetX, targetZ, targetY = null) {
+    if (this.status !== 'connected') {
+      return Promise.reject(new Error(`Agent is not connected (status: ${this.status})`));
+    }
+    const requestId = nanoid(10);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pathRequests.delete(requestId);
+        reject(new Error('Path request timed out'));
+      }, PATH_TIMEOUT_MS);
+      this._pathRequests.set(requestId, { resolve, reject, timer });
+      this.send('agentPath', { requestId, target: [targetX, targetY, targetZ] });
+    });
+  }
+
+  estimateEta(pathLength, run = false) {
+    return Math.round((pathLength / (run ? RUN_SPEED : WALK_SPEED)) * 1000);
+  }
+
+  navigateTo(targetX, targetZ, { arrivalRadius = 2.0, timeout = null, getTargetPos = null, run = false, plan = null } = {}) {
     if (this.status !== 'connected') {
       return Promise.reject(new Error(`Agent is not connected (status: ${this.status})`));
     }
     this.cancelNavigation();
+    this._clearMoveTimers();
+    this._stopEmote();
 
     return new Promise((resolve) => {
       const startTime = Date.now();
+      // Unless told otherwise allow twice the expected walking time
+      const maxTime = timeout ?? Math.max(30000, this.estimateEta(plan?.length || 0, run) * 2);
       this._navResolve = resolve;
       this._navRunning = run;
 
+      let path = plan?.path || null;
+      let waypoint = 0;
+      let plannedFor = { x: targetX, z: targetZ };
+      let planning = false;
+      let replans = 0;
+      let progressPos = null;
+      let stuckTicks = 0;
+
+      const finish = (result) => {
+        this._stopInput();
+        this._cleanupNav();
+        resolve(result);
+      };
+
+      const replan = (tx, tz) => {
+        planning = true;
+        this._stopInput();
+        this.planPath(tx, tz).then((next) => {
+          planning = false;
+          if (this._navResolve !== resolve) return; // cancelled while we waited
+          if (!next) {
+            finish({ arrived: false, position: this.getPosition(), distance: null, error: 'No path to target' });
+            return;
+          }
+          path = next.path;
+          waypoint = 0;
+          plannedFor = { x: tx, z: tz };
+          progressPos = null;
+          stuckTicks = 0;
+        }).catch((err) => {
+          planning = false;
+          if (this._navResolve !== resolve) return;
+          finish({ arrived: false, position: this.getPosition(), distance: null, error: err.message });
+        });
+      };
+
       const tick = () => {
-        // Position tracking placeholder - implement if needed
-        const pos = this.getPosition() || { x: 0, z: 0 };
+        const pos = this.getPosition();
+        if (!pos) return; // not in the snapshot yet
         let tx = targetX;
         let tz = targetZ;
         if (getTargetPos) {
@@ -268,45 +558,59 @@ export class AgentConnection {
         const distance = Math.sqrt(dx * dx + dz * dz);
 
         if (distance <= arrivalRadius) {
-          this.world.controls.simulateButton('keyW', false);
-          if (run) this.world.controls.simulateButton('shiftLeft', false);
-          this.world.controls.simulateLook(null);
-          this._cleanupNav();
-          resolve({ arrived: true, position: pos, distance: round2(distance) });
+          finish({ arrived: true, position: pos, distance: round2(distance) });
           return;
         }
 
-        if (Date.now() - startTime > timeout) {
-          this.world.controls.simulateButton('keyW', false);
-          if (run) this.world.controls.simulateButton('shiftLeft', false);
-          this.world.controls.simulateLook(null);
-          this._cleanupNav();
-          resolve({ arrived: false, position: pos, distance: round2(distance), error: 'Navigation timeout' });
+        if (Date.now() - startTime > maxTime) {
+          finish({ arrived: false, position: pos, distance: round2(distance), error: 'Navigation timeout' });
           return;
         }
 
-        const yaw = Math.atan2(-dz, -dx);
-        this.world.controls.simulateLook(yaw);
-        if (run) this.world.controls.simulateButton('shiftLeft', true);
-        this.world.controls.simulateButton('keyW', true);
+        if (planning) return;
+        if (!path || Math.hypot(tx - plannedFor.x, tz - plannedFor.z) > RETARGET_DISTANCE) {
+          replan(tx, tz);
+          return;
+        }
+
+        // Walked into something the planner didn't know about (a player, a moved prop)
+        if (progressPos && Math.hypot(pos.x - progressPos.x, pos.z - progressPos.z) < STUCK_DISTANCE) {
+          if (++stuckTicks >= STUCK_TICKS) {
+            if (++replans > MAX_REPLANS) {
+              finish({ arrived: false, position: pos, distance: round2(distance), error: 'Path blocked' });
+              return;
+            }
+            replan(tx, tz);
+            return;
+          }
+        } else {
+          progressPos = pos;
+          stuckTicks = 0;
+        }
+
+        while (waypoint < path.length && Math.hypot(path[waypoint][0] - pos.x, path[waypoint][2] - pos.z) < WAYPOINT_RADIUS) {
+          waypoint++;
+        }
+        // Past the last waypoint we home in on the target itself, which may be moving
+        const wx = waypoint < path.length ? path[waypoint][0] : tx;
+        const wz = waypoint < path.length ? path[waypoint][2] : tz;
+        const yaw = Math.atan2(-(wx - pos.x), -(wz - pos.z));
+        this._sendInput({ axis: DIRECTION_AXES.forward, run, yaw });
       };
 
       tick();
-      this._navInterval = setInterval(tick, 200);
+      this._navInterval = setInterval(tick, NAV_TICK_MS);
     });
   }
 
   cancelNavigation() {
-    // Same as original
     if (this._navInterval) {
       clearInterval(this._navInterval);
       this._navInterval = null;
     }
     if (this._navResolve) {
       if (this.world && this.status === 'connected') {
-        this.world.controls.simulateButton('keyW', false);
-        if (this._navRunning) this.world.controls.simulateButton('shiftLeft', false);
-        this.world.controls.simulateLook(null);
+        this._stopInput();
       }
       const resolve = this._navResolve;
       this._navResolve = null;
@@ -317,6 +621,24 @@ export class AgentConnection {
     }
   }
 
+  _sendInput(changes = {}) {
+    Object.assign(this._input, changes);
+    this.send('agentInput', this._input);
+    // jump is a one-shot trigger, not held state
+    this._input.jump = false;
+  }
+
+  _stopInput() {
+    this._sendInput({ axis: STOP_AXIS, run: false, yaw: null });
+  }
+
+  _clearMoveTimers() {
+    for (const timer of this._moveTimers) {
+      clearTimeout(timer);
+    }
+    this._moveTimers = [];
+  }
+
   _cleanupNav() {
     if (this._navInterval) {
       clearInterval(this._navInterval);
@@ -326,7 +648,7 @@ export class AgentConnection {
     this._navReject = null;
   }
 
-  // Audio methods remain unchanged - they use world.network.send which we defined as WS send
+  // Audio methods go through world.network.send, which encodes Hyperfy packets
   startAudioStream({ sampleRate = 24000, channels = 1, format = 's16' } = {}) {
     if (this.status !== 'connected') {
       throw new Error(`Agent is not connected (status: ${this.status})`);
@@ -334,27 +656,24 @@ export class AgentConnection {
     if (this._currentStreamId) {
       throw new Error('Audio stream already active. Stop it first.');
     }
-    if (format !== 'f32' && format !== 's16') {
-      throw new Error(`Invalid format: ${format}. Use 'f32' or 's16'`);
-    }
-    if (channels !== 1 && channels !== 2) {
-      throw new Error('Channels must be 1 or 2');
-    }
-    if (sampleRate < 8000 || sampleRate > 48000) {
-      throw new Error('Sample rate must be between 8000 and 48000');
+    const formatError = validateAudioFormat({ sampleRate, channels, format });
+    if (formatError) {
+      throw new Error(formatError);
     }
 
-    this._currentStreamId = crypto.randomUUID();
-    this._audioSeq = 0;
-
+    // Send before committing state so a rejected packet leaves no dangling stream
+    const streamId = crypto.randomUUID();
     this.world.network.send('audioStreamStart', {
-      streamId: this._currentStreamId,
+      streamId,
       playerId: this.getPlayerId(),
       sampleRate,
       channels,
       format,
     });
 
+    this._currentStreamId = streamId;
+    this._audioSeq = 0;
+
     return this._currentStreamId;
   }
 
@@ -375,6 +694,12 @@ export class AgentConnection {
 
   stopAudioStream() {
     if (!this._currentStreamId) return;
+    // ends a playAudio clip too, whoever stops it by hand reports that themselves
+    if (this._playbackCleanup) {
+      clearTimeout(this._playbackTimer);
+      this._playbackTimer = null;
+      this._playbackCleanup = null;
+    }
 
     if (this.status === 'connected') {
       this.world.network.send('audioStreamStop', {
@@ -386,27 +711,84 @@ export class AgentConnection {
     this._audioSeq = 0;
   }
 
-  // ... rest of the class remains unchanged ...
+  /**
+   * Play a complete PCM clip. It goes out as an audio stream paced in real time.
+   * `onDone` fires once it has played out, or was cut short by another clip or a
+   * disconnect. Stopping it with stopAudioStream() is silent. Returns the streamId.
+   */
+  playAudio(pcm, { sampleRate = 24000, channels = 1, format = 's16' } = {}, onDone = null) {
+    this._stopPlayback();
+    const streamId = this.startAudioStream({ sampleRate, channels, format });
+    const bytes = pcm instanceof Uint8Array ? pcm : new Uint8Array(pcm.buffer || pcm);
+    const bytesPerFrame = (format === 'f32' ? 4 : 2) * channels;
+    const bytesPerMs = (sampleRate * bytesPerFrame) / 1000;
+    const chunkBytes = Math.round((sampleRate * PLAYBACK_CHUNK_MS) / 1000) * bytesPerFrame;
+    const durationMs = bytes.length / bytesPerMs;
+    const startedAt = performance.now();
+    let offset = 0;
+
+    const finish = () => {
+      this._playbackTimer = null;
+      this._playbackCleanup = null;
+      if (this._currentStreamId === streamId) this.stopAudioStream();
+      onDone?.();
+    };
+    const tick = () => {
+      const elapsed = performance.now() - startedAt;
+      const target = Math.min(bytes.length, Math.floor(((elapsed + PLAYBACK_LEAD_MS) * bytesPerMs) / bytesPerFrame) * bytesPerFrame);
+      while (offset < target) {
+        const end = Math.min(offset + chunkBytes, bytes.length);
+        this.pushAudioData(undefined, bytes.subarray(offset, end));
+        offset = end;
+      }
+      if (offset >= bytes.length) {
+        // everything is sent, stay "speaking" until listeners have heard the end of it
+        this._playbackTimer = setTimeout(finish, Math.max(0, durationMs - elapsed));
+        return;
+      }
+      this._playbackTimer = setTimeout(tick, PLAYBACK_CHUNK_MS);
+    };
+
+    this._playbackCleanup = finish;
+    tick();
+    return streamId;
+  }
+
+  _stopPlayback() {
+    if (this._playbackTimer) {
+      clearTimeout(this._playbackTimer);
+      this._playbackTimer = null;
+    }
+    if (this._playbackCleanup) {
+      const cleanup = this._playbackCleanup;
+      this._playbackCleanup = null;
+      cleanup();
+    }
+  }
+
   disconnect() {
     this._stopPlayback();
     this.stopAudioStream();
     this.cancelNavigation();
-    for (const timer of this._moveTimers) {
-      clearTimeout(timer);
-    }
-    this._moveTimers = [];
-    if (this.world && this.status === 'connected') {
-      this.world.controls.simulateButton('shiftLeft', false);
+    this._clearMoveTimers();
+    this._clearEmoteTimer();
+    for (const request of this._pathRequests.values()) {
+      clearTimeout(request.timer);
+      request.reject(new Error('Agent disconnected'));
     }
+    this._pathRequests.clear();
     if (this.ws) {
       this.ws.close();
     }
     this.status = 'disconnected';
     this.ws = null;
     this.world = null;
+    this.players.clear();
     this.onWorldChat = null;
-    this.onKick = null;
+    this.onKicked = null;
     this.onDisconnect = null;
+    this.onPlayerUpdate = null;
+    this.onPlayerRemoved = null;
   }
 
   toJSON() {
@@ -1,45 +1,102 @@
 /**
  * Ring buffer for storing events that HTTP agents poll for.
- * Events are timestamped on push and drained by timestamp on poll.
+ *
+ * Every event gets a sequence number (`seq`, starting at 1) on push, which is
+ * also the cursor pointing just past it. Reading is non-destructive: a reader
+ * asks for the events after a cursor and gets them back until it acks that
+ * far, so a response that never arrives loses nothing.
+ * The ring keeps the last `maxSize` events, acked or not. If unacked events
+ * fall off the end, the next read reports how many were `dropped`.
+ *
+ * While a listener is subscribed (an SSE stream) each event is handed to it on
+ * push and counts as acked.
  */
 export class EventBuffer {
   constructor(maxSize = 500) {
     this._maxSize = maxSize
     this._events = []
+    this._seq = 0
+    this._acked = 0
+    this._listener = null
   }
 
   /**
    * Add an event to the buffer. Drops oldest if full.
-   * Attaches `timestamp` (ISO string, returned to agent) and `_ts` (numeric, for filtering).
+   * Attaches `seq`, `timestamp` (ISO string, returned to agent) and `_ts` (numeric, for filtering).
+   * Returns the event as readers will see it, or null for a duplicate.
    */
   push(event) {
-    if (event.id && this._events.some(e => e.id === event.id)) return
+    if (event.id && this._events.some(e => e.id === event.id)) return null
     const now = Date.now()
     const entry = {
       ...event,
       timestamp: new Date(now).toISOString(),
+      seq: ++this._seq,
       _ts: now,
     }
     this._events.push(entry)
     if (this._events.length > this._maxSize) {
       this._events.shift()
     }
+    const delivered = strip(entry)
+    if (this._listener) {
+      this._acked = entry.seq
+      this._listener(delivered)
+    }
+    return delivered
+  }
+
+  /**
+   * Events after `cursor` (default: the acked cursor), oldest first. Returns
+   * { events, nextCursor, dropped }: pass `nextCursor` to `ack` once the events
+   * are handled, `dropped` counts events after the cursor that the ring lost.
+   * `sinceMs` additionally filters by timestamp, for clients of the old API.
+   */
+  read(cursor = this._acked, sinceMs = 0) {
+    const after = Math.min(cursor, this._seq)
+    const first = this._events.length ? this._events[0].seq : this._seq + 1
+    const matching = this._events.filter(e => e.seq > after && e._ts > sinceMs)
+    return {
+      events: matching.map(strip),
+      nextCursor: matching.length ? matching[matching.length - 1].seq : after,
+      dropped: Math.max(0, first - 1 - after),
+    }
   }
 
   /**
-   * Return all events after `sinceMs` (numeric timestamp) and clear them from the buffer.
-   * Poll-and-consume pattern — each event is only returned once.
+   * Mark everything up to and including `cursor` as handled.
    */
-  drainSince(sinceMs = 0) {
-    const cutoff = typeof sinceMs === 'number' ? sinceMs : 0
-    const matching = this._events.filter(e => e._ts > cutoff)
-    // Remove drained events from the buffer
-    this._events = this._events.filter(e => e._ts <= cutoff)
-    // Strip internal _ts before returning
-    return matching.map(({ _ts, ...rest }) => rest)
+  ack(cursor) {
+    this._acked = Math.max(this._acked, Math.min(cursor, this._seq))
   }
 
+  /**
+   * Send events to `listener(event)` as they are pushed, replacing any
+   * previous listener. Read and ack the backlog first. Returns an unsubscribe
+   * function.
+   */
+  subscribe(listener) {
+    this._listener = listener
+    return () => {
+      if (this._listener === listener) this._listener = null
+    }
+  }
+
+  /**
+   * The acked cursor.
+   */
+  get cursor() {
+    return this._acked
+  }
+
+  /**
+   * Number of unacked events still held.
+   */
   get length() {
-    return this._events.length
+    return this._events.filter(e => e.seq > this._acked).length
   }
 }
+
+function strip({ _ts, ...rest }) {
+  return rest
+}
@@ -0,0 +1,60 @@
+/**
+ * Token buckets keyed by caller and action.
+ * Each action gets `limit` tokens that refill evenly over `windowMs`,
+ * so `{ limit: 10, windowMs: 60000 }` allows bursts of 10 and 10/minute sustained.
+ */
+export class RateLimiter {
+  constructor(limits) {
+    this._limits = limits
+    this._buckets = new Map() // `${key}:${action}` → { tokens, updatedAt }
+  }
+
+  /**
+   * Take one token from each of `actions` for `key`, all or nothing.
+   * Returns null if allowed, or { action, retryAfter } (seconds until the
+   * first exhausted bucket has a token again) if not.
+   */
+  take(key, actions) {
+    const now = Date.now()
+    const buckets = []
+    for (const action of actions) {
+      const limit = this._limits[action]
+      if (!limit) continue
+      const bucket = this._refill(`${key}:${action}`, limit, now)
+      if (bucket.tokens < 1) {
+        const msPerToken = limit.windowMs / limit.limit
+        return { action, retryAfter: Math.ceil(((1 - bucket.tokens) * msPerToken) / 1000) }
+      }
+      buckets.push(bucket)
+    }
+    for (const bucket of buckets) bucket.tokens -= 1
+    return null
+  }
+
+  /**
+   * Drop buckets that have refilled completely, they are no different from fresh ones.
+   */
+  prune() {
+    const now = Date.now()
+    for (const [id, bucket] of this._buckets) {
+      const action = id.slice(id.lastIndexOf(':') + 1)
+      const limit = this._limits[action]
+      if (!limit || this._refill(id, limit, now).tokens >= limit.limit) {
+        this._buckets.delete(id)
+      }
+    }
+  }
+
+  _refill(id, limit, now) {
+    let bucket = this._buckets.get(id)
+    if (!bucket) {
+      bucket = { tokens: limit.limit, updatedAt: now }
+      this._buckets.set(id, bucket)
+      return bucket
+    }
+    const refill = ((now - bucket.updatedAt) / limit.windowMs) * limit.limit
+    bucket.tokens = Math.min(limit.limit, bucket.tokens + refill)
+    bucket.updatedAt = now
+    return bucket
+  }
+}
@@ -0,0 +1,293 @@
+import { readPacket, writePacket } from './packets.js'
+
+// Same tuning as hyperfy's ServerAgents, so moves and ETAs carry over to the real thing
+const WALK_SPEED = 3
+const RUN_SPEED = 6
+const GRAVITY = 20
+const JUMP_HEIGHT = 1.5
+
+const STEP_MS = 50 // fixed simulation step
+const SPAWN_COLUMNS = 8 // players join on a grid around the origin, SPAWN_SPACING apart
+const SPAWN_SPACING = 2
+
+// WebSocket readyState values, AgentConnection compares against WebSocket.OPEN
+const OPEN = 1
+const CLOSED = 3
+
+const worlds = new Map() // URL without query → SimulatedWorld
+
+/**
+ * Open a socket to the simulated world at `url`, for AgentConnection to use in
+ * place of a WebSocket to Hyperfy. Every URL gets its own world, created on
+ * first use, and reads its `name`, `avatar` and `authToken` params like
+ * Hyperfy's ServerNetwork.
+ */
+export function openSimulatedSocket(url) {
+  const parsed = new URL(url)
+  const key = `${parsed.origin}${parsed.pathname}`
+  let world = worlds.get(key)
+  if (!world) {
+    world = new SimulatedWorld()
+    worlds.set(key, world)
+  }
+  return world.connect(parsed.searchParams)
+}
+
+/**
+ * A stand-in for a Hyperfy world, in process, for developing and testing agents
+ * without Hyperfy, PhysX or the node client. It speaks the same packets: a
+ * snapshot on join, entityAdded / entityModified / entityRemoved for players,
+ * chat relayed to everyone but the sender, pong, and `agentInput` / `agentPath`
+ * handled like ServerAgents does.
+ *
+ * The ground is an endless flat plane at y = 0 with nothing on it, so every
+ * path is a straight line. Bodies advance in fixed STEP_MS steps and player
+ * ids, auth tokens and spawn points are handed out in join order.
+ *
+ * Time comes from `now` (ms, performance.now by default): the world runs every
+ * step due by then before it applies a packet, so a run depends only on when
+ * its packets arrive, not on how late the timer fires. With `manual: true`
+ * there is no timer at all and time only moves on `step()`, for runs that
+ * repeat exactly.
+ */
+export class SimulatedWorld {
+  constructor({ now = () => performance.now(), manual = false } = {}) {
+    this._now = now
+    this._manual = manual
+    this._players = new Map() // id → { data, socket, input, velocityY, sent }
+    this._users = new Map() // authToken → player id, so a returning agent keeps its id
+    this._joins = 0
+    this._timer = null
+    this._startedAt = 0
+    this._steps = 0
+  }
+
+  // Simulated time in ms
+  get time() {
+    return this._steps * STEP_MS
+  }
+
+  getPlayer(id) {
+    return this._players.get(id)?.data || null
+  }
+
+  // Run `count` steps and broadcast what moved, for worlds made with `manual: true`
+  step(count = 1) {
+    for (let i = 0; i < count; i++) this._advance()
+    for (const player of this._players.values()) this._sendChanges(player)
+  }
+
+  connect(params) {
+    const socket = new SimulatedSocket(this)
+    // like a real socket, it opens once the caller has had a chance to attach handlers
+    setImmediate(() => this._join(socket, params))
+    return socket
+  }
+
+  _join(socket, params) {
+    if (socket.readyState !== OPEN) return
+    socket.onopen?.()
+    const authToken = params.get('authToken')
+    const id = this._users.get(authToken) || `sim-${this._joins + 1}`
+    if (this._players.has(id)) {
+      socket._deliver('kick', 'duplicate_user')
+      // after the kick has gone out, a closed socket delivers nothing
+      setImmediate(() => socket.close())
+      return
+    }
+    const slot = this._joins++
+    const token = authToken && this._users.has(authToken) ? authToken : `sim-token-${id}`
+    this._users.set(token, id)
+    const data = {
+      id,
+      type: 'player',
+      name: params.get('name') || 'Anonymous',
+      avatar: 'asset://avatar.vrm',
+      sessionAvatar: params.get('avatar') || null,
+      position: [(slot % SPAWN_COLUMNS) * SPAWN_SPACING, 0, Math.floor(slot / SPAWN_COLUMNS) * SPAWN_SPACING],
+      quaternion: [0, 0, 0, 1],
+    }
+    const player = { data, socket, input: { axis: [0, 0, 0], run: false, jump: false, yaw: null }, velocityY: 0, sent: null }
+    socket._playerId = id
+    this._broadcast('entityAdded', data)
+    this._players.set(id, player)
+    socket._deliver('snapshot', {
+      id,
+      serverTime: this.time,
+      authToken: token,
+      chat: [],
+      entities: [...this._players.values()].map(p => p.data),
+    })
+    this._start()
+  }
+
+  _leave(socket) {
+    const id = socket._playerId
+    if (!id || this._players.get(id)?.socket !== socket) return
+    this._players.delete(id)
+    this._broadcast('entityRemoved', id)
+    if (!this._players.size) this._stop()
+  }
+
+  _receive(socket, packet) {
+    const player = this._players.get(socket._playerId)
+    if (!player) return
+    this._catchUp()
+    const [method, data] = readPacket(packet)
+    switch (method) {
+      case 'onChatAdded':
+        this._broadcast('chatAdded', data, player)
+        break
+      case 'onEntityModified': {
+        // emotes and names from the agent itself
+        if (data?.id !== player.data.id) return
+        const { id, ...changes } = data
+        for (const key of ['e', 'name', 'avatar', 'sessionAvatar']) {
+          if (changes.hasOwnProperty(key)) player.data[key === 'e' ? 'emote' : key] = changes[key]
+        }
+        this._broadcast('entityModified', data, player)
+        break
+      }
+      case 'onAgentInput':
+        this._setInput(player, data || {})
+        break
+      case 'onAgentPath': {
+        const target = data?.target
+        if (!Array.isArray(target) || typeof target[0] !== 'number' || typeof target[2] !== 'number') {
+          socket._deliver('agentPath', { requestId: data?.requestId, path: null, length: 0 })
+          return
+        }
+        const from = player.data.position.slice()
+        const to = [target[0], 0, target[2]]
+        const length = Math.hypot(to[0] - from[0], to[2] - from[2])
+        socket._deliver('agentPath', { requestId: data.requestId, path: [from, to], length })
+        break
+      }
+      case 'onPing':
+        socket._deliver('pong', data)
+        break
+      // audio has nobody to play to here
+    }
+  }
+
+  _setInput(player, input) {
+    if (Array.isArray(input.axis)) {
+      const [x, , z] = input.axis
+      const length = Math.hypot(x, z)
+      player.input.axis = length > 1 ? [x / length, 0, z / length] : [x, 0, z]
+    }
+    if (typeof input.run === 'boolean') player.input.run = input.run
+    if (input.jump === true) player.input.jump = true
+    if (input.hasOwnProperty('yaw')) player.input.yaw = typeof input.yaw === 'number' ? input.yaw : null
+  }
+
+  _start() {
+    if (this._timer || this._manual) return
+    this._startedAt = this._now() - this.time
+    this._timer = setInterval(() => this._tick(), STEP_MS)
+  }
+
+  _stop() {
+    clearInterval(this._timer)
+    this._timer = null
+  }
+
+  _tick() {
+    this._catchUp()
+    for (const player of this._players.values()) this._sendChanges(player)
+  }
+
+  // Run the steps due by now, one at a time however late we are
+  _catchUp() {
+    if (!this._timer) return
+    const due = Math.floor((this._now() - this._startedAt) / STEP_MS)
+    while (this._steps < due) this._advance()
+  }
+
+  _advance() {
+    for (const player of this._players.values()) this._step(player, STEP_MS / 1000)
+    this._steps++
+  }
+
+  // One fixed step of ServerAgents' AgentBody.fixedUpdate, minus the collisions
+  _step(player, delta) {
+    const { input, data } = player
+    const [ax, , az] = input.axis
+    const moving = ax !== 0 || az !== 0
+    const yaw = typeof input.yaw === 'number' ? input.yaw : yawOf(data.quaternion)
+    // turn to face the reference yaw at once, Hyperfy eases into it
+    if (typeof input.yaw === 'number' || moving) data.quaternion = [0, Math.sin(yaw / 2), 0, Math.cos(yaw / 2)]
+    const speed = moving && input.run ? RUN_SPEED : WALK_SPEED
+    // the move axis is relative to the yaw, -Z is forward
+    const cos = Math.cos(yaw)
+    const sin = Math.sin(yaw)
+    const [x, y, z] = data.position
+    const grounded = y <= 0 && player.velocityY <= 0
+    if (grounded) player.velocityY = input.jump ? Math.sqrt(2 * GRAVITY * JUMP_HEIGHT) : 0
+    else player.velocityY -= GRAVITY * delta
+    input.jump = false
+    data.position = [
+      x + (ax * cos + az * sin) * speed * delta,
+      Math.max(0, y + player.velocityY * delta),
+      z + (az * cos - ax * sin) * speed * delta,
+    ]
+  }
+
+  // Broadcast what moved since last time, to everyone including the player itself
+  _sendChanges(player) {
+    const { data } = player
+    const change = { id: data.id }
+    if (!player.sent || !samePoint(player.sent.p, data.position)) change.p = data.position
+    if (!player.sent || !samePoint(player.sent.q, data.quaternion)) change.q = data.quaternion
+    if (!change.p && !change.q) return
+    player.sent = { p: data.position, q: data.quaternion }
+    this._broadcast('entityModified', change)
+  }
+
+  _broadcast(name, data, except = null) {
+    for (const player of this._players.values()) {
+      if (player !== except) player.socket._deliver(name, data)
+    }
+  }
+}
+
+/**
+ * The WebSocket surface AgentConnection uses, wired to a SimulatedWorld.
+ * Frames go both ways asynchronously and in order, like over a real socket.
+ */
+class SimulatedSocket {
+  constructor(world) {
+    this._world = world
+    this._playerId = null
+    this.readyState = OPEN
+    this.onopen = null
+    this.onmessage = null
+    this.onclose = null
+    this.onerror = null
+  }
+
+  send(packet) {
+    if (this.readyState !== OPEN) return
+    setImmediate(() => this._world._receive(this, packet))
+  }
+
+  close() {
+    if (this.readyState === CLOSED) return
+    this.readyState = CLOSED
+    setImmediate(() => {
+      this._world._leave(this)
+      this.onclose?.()
+    })
+  }
+
+  _deliver(name, data) {
+    if (this.readyState !== OPEN) return
+    const packet = writePacket(name, data)
+    setImmediate(() => {
+      if (this.readyState === OPEN) this.onmessage?.({ data: packet })
+    })
+  }
+}
+
+const yawOf = ([x, y, z, w]) => Math.atan2(2 * (w * y + x * z), 1 - 2 * (x * x + y * y))
+const samePoint = (a, b) => a.every((n, i) => n === b[i])
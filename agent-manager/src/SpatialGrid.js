@@ -0,0 +1,107 @@
+/**
+ * Uniform grid over the ground plane (x/z) for finding players near a point
+ * without checking every pair. Items are bucketed by the cell their position
+ * falls in and move between cells as they are updated, like the loose octree
+ * in hyperfy's core/extras, but flat: agents only care about horizontal distance.
+ *
+ * Items are { id, position: [x, y, z], data }, keyed by id.
+ */
+export class SpatialGrid {
+  constructor(cellSize = 10) {
+    this.cellSize = cellSize
+    this._cells = new Map() // 'cx,cz' → Set<id>
+    this._items = new Map() // id → { id, position, data, cell }
+  }
+
+  /**
+   * Insert an item or move it to a new position.
+   */
+  set(id, position, data = null) {
+    const cell = this._cellKey(position[0], position[2])
+    let item = this._items.get(id)
+    if (!item) {
+      item = { id, position, data, cell: null }
+      this._items.set(id, item)
+    }
+    item.position = position
+    item.data = data
+    if (item.cell === cell) return
+    if (item.cell !== null) this._removeFromCell(item)
+    item.cell = cell
+    let ids = this._cells.get(cell)
+    if (!ids) {
+      ids = new Set()
+      this._cells.set(cell, ids)
+    }
+    ids.add(id)
+  }
+
+  remove(id) {
+    const item = this._items.get(id)
+    if (!item) return
+    this._removeFromCell(item)
+    this._items.delete(id)
+  }
+
+  get(id) {
+    return this._items.get(id) || null
+  }
+
+  /**
+   * Items within `radius` of (x, z), closest first, as
+   * { id, position, data, distance }.
+   */
+  query(x, z, radius) {
+    const hits = []
+    const consider = item => {
+      const distance = Math.hypot(item.position[0] - x, item.position[2] - z)
+      if (distance <= radius) hits.push({ id: item.id, position: item.position, data: item.data, distance })
+    }
+    const minX = Math.floor((x - radius) / this.cellSize)
+    const maxX = Math.floor((x + radius) / this.cellSize)
+    const minZ = Math.floor((z - radius) / this.cellSize)
+    const maxZ = Math.floor((z + radius) / this.cellSize)
+    // a query covering more cells than there are items is cheaper as a plain scan
+    if ((maxX - minX + 1) * (maxZ - minZ + 1) > this._items.size) {
+      for (const item of this._items.values()) consider(item)
+    } else {
+      for (let cx = minX; cx <= maxX; cx++) {
+        for (let cz = minZ; cz <= maxZ; cz++) {
+          const ids = this._cells.get(`${cx},${cz}`)
+          if (!ids) continue
+          for (const id of ids) consider(this._items.get(id))
+        }
+      }
+    }
+    return hits.sort((a, b) => a.distance - b.distance)
+  }
+
+  /**
+   * Like `query`, with hysteresis for tracking who is in range over time: items
+   * in `inside` (a Set or Map of the ids in range last time) stay until they are
+   * past `radius + hysteresis`, others have to come within `radius`.
+   */
+  queryInRange(x, z, radius, hysteresis, inside) {
+    return this.query(x, z, radius + hysteresis).filter(hit => inside.has(hit.id) || hit.distance <= radius)
+  }
+
+  clear() {
+    this._cells.clear()
+    this._items.clear()
+  }
+
+  get size() {
+    return this._items.size
+  }
+
+  _cellKey(x, z) {
+    return `${Math.floor(x / this.cellSize)},${Math.floor(z / this.cellSize)}`
+  }
+
+  _removeFromCell(item) {
+    const ids = this._cells.get(item.cell)
+    if (!ids) return
+    ids.delete(item.id)
+    if (!ids.size) this._cells.delete(item.cell)
+  }
+}
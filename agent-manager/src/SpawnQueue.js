@@ -0,0 +1,94 @@
+const DEFAULT_SESSION_MS = 10 * 60 * 1000 // assumed session length until we've seen some
+const SESSION_SAMPLES = 20
+
+/**
+ * FIFO of spawns waiting for a free agent slot.
+ * Entries are plain objects owned by the caller; the queue only needs `id`
+ * and uses `token` / `profileId` for lookups when present. Entries waiting
+ * for different worlds (`world`) share the queue but not their place in line.
+ */
+export class SpawnQueue {
+  constructor() {
+    this._entries = []
+    this._sessionDurations = []
+  }
+
+  /**
+   * Append an entry. Returns its 1-based position.
+   */
+  push(entry) {
+    this._entries.push(entry)
+    return this._entries.length
+  }
+
+  shift() {
+    return this._entries.shift() || null
+  }
+
+  remove(id) {
+    const index = this._entries.findIndex(e => e.id === id)
+    if (index === -1) return null
+    return this._entries.splice(index, 1)[0]
+  }
+
+  get(id) {
+    return this._entries.find(e => e.id === id) || null
+  }
+
+  /**
+   * 1-based position of an entry among those waiting for the same world,
+   * or null if it isn't queued.
+   */
+  position(id) {
+    const entry = this.get(id)
+    if (!entry) return null
+    return this._entries.filter(e => e.world === entry.world).indexOf(entry) + 1
+  }
+
+  /**
+   * How many entries are waiting for `world`.
+   */
+  waitingFor(world) {
+    return this._entries.filter(e => e.world === world).length
+  }
+
+  findByToken(token) {
+    return this._entries.find(e => e.token && e.token === token) || null
+  }
+
+  hasProfile(profileId) {
+    return this._entries.some(e => e.profileId === profileId)
+  }
+
+  /**
+   * Remember how long a session lasted so wait estimates track real usage.
+   */
+  recordSession(durationMs) {
+    this._sessionDurations.push(durationMs)
+    if (this._sessionDurations.length > SESSION_SAMPLES) {
+      this._sessionDurations.shift()
+    }
+  }
+
+  /**
+   * Rough wait for the given position. With `capacity` slots each turning over
+   * every average session length, a slot frees up every `average / capacity` ms.
+   */
+  estimateWaitMinutes(position, capacity) {
+    const samples = this._sessionDurations
+    const average = samples.length ? samples.reduce((a, b) => a + b, 0) / samples.length : DEFAULT_SESSION_MS
+    return Math.max(1, Math.ceil((position * average) / Math.max(1, capacity) / 60000))
+  }
+
+  clear() {
+    this._entries = []
+  }
+
+  [Symbol.iterator]() {
+    return this._entries[Symbol.iterator]()
+  }
+
+  get length() {
+    return this._entries.length
+  }
+}
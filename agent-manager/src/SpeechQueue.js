@@ -0,0 +1,123 @@
+/**
+ * Turn-taking for agent speech. Lines play one at a time per agent, or one at a
+ * time across the whole world in stage mode, in the order they were queued.
+ *
+ * Items are plain objects owned by the caller:
+ *   { id, agentId, kind, estimatedMs, start(done), stop() }
+ * `start` begins playback and calls `done()` once the line is over. `stop` cuts
+ * it short and must also end with `done()`. `estimatedMs` may be updated while
+ * queued or playing, it only feeds wait estimates.
+ */
+export class SpeechQueue {
+  constructor({ stage = false, maxPerAgent = 5 } = {}) {
+    this.stage = stage
+    this.maxPerAgent = maxPerAgent
+    this._lanes = new Map() // agentId, or '*' in stage mode → { current, startedAt, items }
+  }
+
+  /**
+   * Queue an item. Returns { position, estimatedStartMs } where position is the
+   * 1-based place in line, or null if it started right away. Returns null if the
+   * agent already has `maxPerAgent` lines waiting.
+   */
+  enqueue(item) {
+    if (this.pendingCount(item.agentId) >= this.maxPerAgent) return null
+    const key = this._laneKey(item.agentId)
+    let lane = this._lanes.get(key)
+    if (!lane) {
+      lane = { current: null, startedAt: 0, items: [] }
+      this._lanes.set(key, lane)
+    }
+    const estimatedStartMs = this._remainingMs(lane)
+    lane.items.push(item)
+    const position = lane.items.length
+    this._advance(key)
+    if (lane.current === item) return { position: null, estimatedStartMs: 0 }
+    return { position, estimatedStartMs }
+  }
+
+  /**
+   * Cut short what the agent is saying right now, if `filter` allows.
+   */
+  interrupt(agentId, filter = null) {
+    const lane = this._lanes.get(this._laneKey(agentId))
+    const current = lane?.current
+    if (!current || current.agentId !== agentId) return false
+    if (filter && !filter(current)) return false
+    current.stop()
+    return true
+  }
+
+  /**
+   * Drop the agent's waiting lines (those matching `filter`, or all). Returns them.
+   */
+  cancel(agentId, filter = null) {
+    const lane = this._lanes.get(this._laneKey(agentId))
+    if (!lane) return []
+    const removed = lane.items.filter(i => i.agentId === agentId && (!filter || filter(i)))
+    lane.items = lane.items.filter(i => !removed.includes(i))
+    return removed
+  }
+
+  /**
+   * Forget an agent entirely: drop its waiting lines and stop the current one.
+   */
+  remove(agentId) {
+    this.cancel(agentId)
+    this.interrupt(agentId)
+  }
+
+  pendingCount(agentId) {
+    const lane = this._lanes.get(this._laneKey(agentId))
+    if (!lane) return 0
+    return lane.items.filter(i => i.agentId === agentId).length
+  }
+
+  isBusy(agentId) {
+    return !!this._lanes.get(this._laneKey(agentId))?.current
+  }
+
+  clear() {
+    for (const lane of this._lanes.values()) {
+      lane.items = []
+      lane.current?.stop()
+    }
+    this._lanes.clear()
+  }
+
+  _laneKey(agentId) {
+    return this.stage ? '*' : agentId
+  }
+
+  _remainingMs(lane) {
+    let ms = 0
+    if (lane.current) ms += Math.max(0, lane.current.estimatedMs - (Date.now() - lane.startedAt))
+    for (const item of lane.items) ms += item.estimatedMs
+    return Math.round(ms)
+  }
+
+  _advance(key) {
+    const lane = this._lanes.get(key)
+    if (!lane || lane.current) return
+    const item = lane.items.shift()
+    if (!item) {
+      this._lanes.delete(key)
+      return
+    }
+    lane.current = item
+    lane.startedAt = Date.now()
+    let finished = false
+    const done = () => {
+      if (finished) return
+      finished = true
+      if (lane.current === item) lane.current = null
+      this._advance(key)
+    }
+    try {
+      item.start(done)
+    } catch (err) {
+      console.error(`Speech ${item.id} failed to start:`, err.message)
+      done()
+    }
+  }
+}
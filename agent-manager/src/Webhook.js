@@ -0,0 +1,175 @@
+import { createHmac, randomUUID } from 'node:crypto'
+import { lookup } from 'node:dns/promises'
+import { BlockList, isIP } from 'node:net'
+
+const BATCH_DELAY_MS = 250       // how long events gather before a POST
+const MAX_BATCH = 50             // events per POST
+const MAX_PENDING = 500          // events waiting behind a failing endpoint before the oldest are dead-lettered
+const MAX_ATTEMPTS = 6           // per batch, with backoff doubling from RETRY_BASE_MS (1+2+4+8+16s)
+const RETRY_BASE_MS = 1000
+const REQUEST_TIMEOUT_MS = 10_000
+// Local development posts to localhost, anywhere else that would let callers reach internal services
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true'
+
+// Loopback, private, link-local, carrier-grade NAT and other non-public ranges
+const privateRanges = new BlockList()
+for (const [net, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+  privateRanges.addSubnet(net, prefix, 'ipv4')
+}
+// BlockList matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges itself
+for (const [net, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  privateRanges.addSubnet(net, prefix, 'ipv6')
+}
+
+/**
+ * Check that a webhook URL points at a public host: every address its host
+ * resolves to must be outside the private ranges, so spawns can't make us POST
+ * to loopback or the internal network. Returns an error message or null.
+ */
+export async function checkWebhookHost(url) {
+  if (WEBHOOK_ALLOW_PRIVATE) return null
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '')
+  let addresses
+  try {
+    addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true })
+  } catch {
+    return `webhook.url host ${host} could not be resolved`
+  }
+  if (addresses.some(({ address, family }) => privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    return 'webhook.url must point to a public host'
+  }
+  return null
+}
+
+/**
+ * Sign a webhook body. Receivers recompute this over the raw body and the
+ * X-Lobby-Timestamp header and compare it to X-Lobby-Signature.
+ */
+function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+/**
+ * Pushes one agent's events to a controller's URL, for controllers that can
+ * neither poll nor hold a socket.
+ *
+ * Events are batched and POSTed in order as
+ *   { agent_id, delivery_id, events: [...] }
+ * one batch at a time. A batch that fails (network error, timeout, 5xx, 408 or
+ * 429) is retried with exponential backoff, any other 4xx gives up right away.
+ * Events that can't be delivered count towards `deadLetters` and are dropped.
+ */
+export class Webhook {
+  constructor({ url, secret, events = null, agentId }) {
+    this.url = url
+    this.secret = secret
+    this.agentId = agentId
+    this._filter = events ? new Set(events) : null
+    this._pending = []
+    this._timer = null
+    this._sending = false
+    this.delivered = 0
+    this.deadLetters = 0
+    this.lastError = null
+    this.lastDeliveryAt = null
+  }
+
+  /**
+   * Queue an event if it passes the type filter.
+   */
+  push(event) {
+    if (this._filter && !this._filter.has(event.type)) return
+    this._pending.push(event)
+    if (this._pending.length > MAX_PENDING) {
+      this._pending.shift()
+      this.deadLetters++
+    }
+    this._schedule(this._pending.length >= MAX_BATCH ? 0 : BATCH_DELAY_MS)
+  }
+
+  /**
+   * Send whatever is queued now instead of waiting for the batch window.
+   * Retries of a batch in flight still run their course.
+   */
+  flush() {
+    this._schedule(0)
+  }
+
+  status() {
+    return {
+      url: this.url,
+      events: this._filter ? [...this._filter] : null,
+      delivered: this.delivered,
+      pending: this._pending.length,
+      deadLetters: this.deadLetters,
+      lastError: this.lastError,
+      lastDeliveryAt: this.lastDeliveryAt && new Date(this.lastDeliveryAt).toISOString(),
+    }
+  }
+
+  _schedule(delayMs) {
+    if (this._sending) return
+    if (this._timer) {
+      if (delayMs > 0) return
+      clearTimeout(this._timer)
+    }
+    this._timer = setTimeout(() => this._sendBatch(), delayMs)
+  }
+
+  async _sendBatch() {
+    this._timer = null
+    const batch = this._pending.splice(0, MAX_BATCH)
+    if (!batch.length) return
+    this._sending = true
+    const body = JSON.stringify({ agent_id: this.agentId, delivery_id: randomUUID(), events: batch })
+    let outcome = 'retry'
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS && outcome === 'retry'; attempt++) {
+      if (attempt > 1) await new Promise(resolve => setTimeout(resolve, RETRY_BASE_MS * 2 ** (attempt - 2)))
+      try {
+        outcome = await this._post(body)
+      } catch (err) {
+        this.lastError = err.message
+      }
+    }
+    if (outcome === 'delivered') {
+      this.delivered += batch.length
+      this.lastDeliveryAt = Date.now()
+    } else {
+      this.deadLetters += batch.length
+      console.warn(`[webhook] ${this.agentId}: gave up on ${batch.length} events for ${this.url} (${this.lastError})`)
+    }
+    this._sending = false
+    if (this._pending.length) this._schedule(0)
+  }
+
+  // Resolves 'delivered', 'retry' or 'failed' (a 4xx that retrying won't fix)
+  async _post(body) {
+    // checked on every delivery, DNS may point somewhere else by now
+    const blocked = await checkWebhookHost(this.url)
+    if (blocked) {
+      this.lastError = blocked
+      return 'failed'
+    }
+    const timestamp = Math.floor(Date.now() / 1000)
+    const res = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'agent-manager-webhook',
+        'X-Lobby-Timestamp': String(timestamp),
+        'X-Lobby-Signature': signWebhook(this.secret, timestamp, body),
+      },
+      body,
+      // a redirect could point anywhere, including where checkWebhookHost wouldn't let us
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    })
+    // drain the body so the connection can be reused
+    await res.arrayBuffer().catch(() => {})
+    if (res.ok) return 'delivered'
+    this.lastError = `HTTP ${res.status}`
+    if (res.status >= 300 && res.status < 500 && res.status !== 408 && res.status !== 429) return 'failed'
+    return 'retry'
+  }
+}
@@ -0,0 +1,65 @@
+import { nanoid } from 'nanoid'
+import { getDB } from './db.js'
+import { hashApiKey } from './profiles.js'
+
+/**
+ * Ban a name (case-insensitive) or an API key, until `expiresAt` (ISO string)
+ * or for good. `label` is what operators see in place of the key.
+ */
+export async function createBan({ name = null, apiKey = null, label = name, reason = '', expiresAt = null }) {
+  const db = await getDB()
+  const ban = {
+    id: nanoid(12),
+    kind: name ? 'name' : 'api_key',
+    value: name ? name.toLowerCase() : hashApiKey(apiKey),
+    label,
+    reason,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+  }
+  await db('bans').insert(ban)
+  return ban
+}
+
+// Bans still in force, expired ones are cleared out on the way
+export async function listBans() {
+  const db = await getDB()
+  const now = new Date().toISOString()
+  await db('bans').where('expiresAt', '<=', now).delete()
+  return db('bans').orderBy('createdAt', 'desc')
+}
+
+export async function deleteBan(id) {
+  const db = await getDB()
+  return (await db('bans').where('id', id).delete()) > 0
+}
+
+/**
+ * The ban in force for this name or API key, if any.
+ */
+export async function findBan({ name = null, apiKey = null }) {
+  const targets = []
+  if (name) targets.push(['name', name.toLowerCase()])
+  if (apiKey) targets.push(['api_key', hashApiKey(apiKey)])
+  if (!targets.length) return null
+  const db = await getDB()
+  const now = new Date().toISOString()
+  const ban = await db('bans')
+    .where(q => {
+      for (const [kind, value] of targets) q.orWhere(w => w.where({ kind, value }))
+    })
+    .where(q => q.whereNull('expiresAt').orWhere('expiresAt', '>', now))
+    .first()
+  return ban || null
+}
+
+export function serializeBan(ban) {
+  return {
+    id: ban.id,
+    kind: ban.kind,
+    target: ban.label,
+    reason: ban.reason,
+    created_at: ban.createdAt,
+    expires_at: ban.expiresAt,
+  }
+}
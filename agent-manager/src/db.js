@@ -0,0 +1,99 @@
+import Knex from 'knex'
+import fs from 'node:fs'
+import path from 'node:path'
+
+const DB_PATH = process.env.AGENT_DB_PATH || path.join(process.cwd(), 'data', 'agents.sqlite')
+
+let db
+
+export async function getDB() {
+  if (!db) {
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true })
+    db = Knex({
+      client: 'better-sqlite3',
+      connection: {
+        filename: DB_PATH,
+      },
+      useNullAsDefault: true,
+    })
+    await migrate(db)
+  }
+  return db
+}
+
+// Same versioned migration scheme as hyperfy/src/server/db.js
+async function migrate(db) {
+  const exists = await db.schema.hasTable('config')
+  if (!exists) {
+    await db.schema.createTable('config', table => {
+      table.string('key').primary()
+      table.text('value')
+    })
+    await db('config').insert({ key: 'version', value: '0' })
+  }
+  const versionRow = await db('config').where('key', 'version').first()
+  let version = parseInt(versionRow.value)
+  for (let i = version; i < migrations.length; i++) {
+    console.log(`[db] migration #${i + 1}`)
+    await migrations[i](db)
+    await db('config').where('key', 'version').update('value', (i + 1).toString())
+    version = i + 1
+  }
+}
+
+/**
+ * NOTE: always append new migrations and never modify pre-existing ones!
+ */
+const migrations = [
+  // add profiles table
+  async db => {
+    await db.schema.createTable('profiles', table => {
+      table.string('id').primary()
+      table.string('name').notNullable()
+      table.string('nameKey').notNullable().unique() // lowercased name, names are case-insensitive
+      table.text('description').notNullable().defaultTo('')
+      table.string('avatar').nullable()
+      table.string('apiKeyHash').notNullable().unique()
+      table.text('hyperfyAuthToken').nullable()
+      table.bigInteger('timeInWorld').notNullable().defaultTo(0) // ms
+      table.integer('messagesSent').notNullable().defaultTo(0)
+      table.timestamp('createdAt').notNullable()
+      table.timestamp('updatedAt').notNullable()
+      table.timestamp('lastSeenAt').nullable()
+    })
+  },
+  // add profile voice (null = derived from the name, see tts.js defaultVoiceFor)
+  async db => {
+    await db.schema.alterTable('profiles', table => {
+      table.string('voice').nullable()
+    })
+  },
+  // add bans (see bans.js)
+  async db => {
+    await db.schema.createTable('bans', table => {
+      table.string('id').primary()
+      table.string('kind').notNullable() // 'name' or 'api_key'
+      table.string('value').notNullable() // lowercased name, or the API key's hash
+      table.string('label').notNullable() // what operators see: the name, or the name of the key's profile
+      table.text('reason').notNullable().defaultTo('')
+      table.timestamp('createdAt').notNullable()
+      table.timestamp('expiresAt').nullable() // null = permanent
+      table.index(['kind', 'value'])
+    })
+  },
+  // add moderation audit log (see moderation.js)
+  async db => {
+    await db.schema.createTable('moderation_log', table => {
+      table.increments('id')
+      table.string('agentId').notNullable()
+      table.string('profileId').nullable()
+      table.string('name').notNullable()
+      table.string('action').notNullable() // 'block' or 'mask'
+      table.text('text').notNullable() // the line as the agent sent it
+      table.text('rules').notNullable() // JSON: [{ rule, action, reason }]
+      table.timestamp('createdAt').notNullable()
+      table.index(['agentId'])
+      table.index(['createdAt'])
+    })
+  },
+]
@@ -0,0 +1,44 @@
+/**
+ * Emotes agents can play, backed by the animation assets Hyperfy ships
+ * (see hyperfy/src/core/extras/playerEmotes.js). Spectators load the `url`
+ * directly, so it must be an asset:// or http(s) URL to a .glb emote.
+ *
+ * `loop` is how the clip plays by default. One-shot clips need a `duration`
+ * (approximate clip length in ms) so we know when to clear them again —
+ * otherwise remote avatars would replay them forever.
+ */
+export const emoteLibrary = [
+  { id: 'stand', name: 'Stand', url: null, loop: false, duration: 0 },
+  { id: 'talk', name: 'Talk', url: 'asset://emote-talk.glb', loop: true },
+  { id: 'float', name: 'Float', url: 'asset://emote-float.glb', loop: true },
+  { id: 'hold', name: 'Hold', url: 'asset://mp-hold.glb', loop: true },
+  { id: 'crawl', name: 'Crawl', url: 'asset://mp-platformer/mp-crawl-idle.glb', loop: true },
+  { id: 'jump', name: 'Jump', url: 'asset://emote-jump.glb?l=0', loop: false, duration: 1000 },
+  { id: 'flip', name: 'Flip', url: 'asset://emote-flip.glb?s=1.1&l=0', loop: false, duration: 1000 },
+  { id: 'backflip', name: 'Backflip', url: 'asset://emote-backflip.glb?s=2.2&l=0', loop: false, duration: 800 },
+  { id: 'spin', name: 'Spin', url: 'asset://mp-platformer/mp-spin.glb?l=0', loop: false, duration: 1000 },
+  { id: 'hurt', name: 'Hurt', url: 'asset://mp-hurt.glb?l=0', loop: false, duration: 1000 },
+  { id: 'die', name: 'Collapse', url: 'asset://mp-platformer/mp-die.glb?l=0', loop: false, duration: 2500 },
+]
+
+export const MAX_EMOTE_DURATION = 60000
+
+/**
+ * Resolve an emote id plus playback options to what the agent should send.
+ *
+ *   - no options: play the clip the way it is authored (once, or looping until stopped)
+ *   - duration:   loop the clip for that many ms, then stop
+ *   - loop:       loop the clip until stopped or another emote plays
+ *
+ * Returns { id, url, loop, duration } (duration null = until stopped), or null for unknown ids.
+ */
+export function resolveEmote(id, { duration = null, loop = false } = {}) {
+  const entry = emoteLibrary.find(e => e.id === id)
+  if (!entry) return null
+  if (!entry.url) return { id: entry.id, url: null, loop: false, duration: null }
+  if (duration || loop) {
+    // One-shot clips are flagged with l=0, dropping it makes Hyperfy loop them
+    return { id: entry.id, url: entry.url.replace(/[?&]l=0$/, ''), loop: true, duration: duration || null }
+  }
+  return { id: entry.id, url: entry.url, loop: entry.loop, duration: entry.loop ? null : entry.duration }
+}
@@ -0,0 +1,370 @@
+/**
+ * Tiny offline speech synthesizer, so agents have a voice without any TTS service.
+ *
+ * It is a classic formant synth: text is turned into rough phonemes by spelling
+ * rules, a glottal pulse train (or noise, for fricatives) is shaped by three
+ * resonators that glide between each phoneme's formant targets, and a sentence
+ * level pitch contour is laid on top. It won't fool anyone, but it is clearly
+ * speech, follows the words and costs nothing.
+ */
+
+export const SAMPLE_RATE = 22050
+
+// Formant targets (F1, F2, F3 in Hz) for an adult speaker, scaled per voice
+const VOWELS = {
+  a: [660, 1720, 2410], // cat
+  e: [530, 1840, 2480], // bed
+  i: [390, 1990, 2550], // sit
+  o: [570, 840, 2410], // hot
+  u: [640, 1190, 2390], // cup
+  ee: [270, 2290, 3010], // see
+  oo: [300, 870, 2240], // food
+  oh: [450, 900, 2400], // go
+  er: [490, 1350, 1690], // bird
+  uh: [500, 1400, 2450], // about
+}
+
+const DIPHTHONGS = {
+  ai: ['e', 'ee'], // day
+  ie: ['a', 'ee'], // my
+  ow: ['a', 'oo'], // now
+  oe: ['oh', 'oo'], // no
+  oi: ['oh', 'ee'], // boy
+}
+
+// kind: approx (voiced glide), nasal, fric, stop
+const CONSONANTS = {
+  l: { kind: 'approx', f: [360, 1300, 2700] },
+  r: { kind: 'approx', f: [420, 1300, 1600] },
+  w: { kind: 'approx', f: [300, 610, 2200] },
+  y: { kind: 'approx', f: [280, 2250, 2900] },
+  m: { kind: 'nasal', f: [250, 1100, 2200] },
+  n: { kind: 'nasal', f: [250, 1700, 2600] },
+  ng: { kind: 'nasal', f: [250, 2000, 2700] },
+  s: { kind: 'fric', noise: [5500, 1500, 0.35] },
+  z: { kind: 'fric', noise: [5000, 1500, 0.25], voiced: true },
+  sh: { kind: 'fric', noise: [2800, 1200, 0.4] },
+  zh: { kind: 'fric', noise: [2700, 1200, 0.3], voiced: true },
+  f: { kind: 'fric', noise: [4500, 3000, 0.15] },
+  v: { kind: 'fric', noise: [4000, 3000, 0.1], voiced: true },
+  th: { kind: 'fric', noise: [4000, 3000, 0.1] },
+  h: { kind: 'fric', noise: [1500, 2500, 0.2] },
+  p: { kind: 'stop', noise: [800, 1000, 0.4] },
+  b: { kind: 'stop', noise: [800, 1000, 0.25], voiced: true },
+  t: { kind: 'stop', noise: [4000, 2000, 0.45] },
+  d: { kind: 'stop', noise: [3500, 2000, 0.3], voiced: true },
+  k: { kind: 'stop', noise: [1800, 1000, 0.45] },
+  g: { kind: 'stop', noise: [1800, 1000, 0.3], voiced: true },
+}
+
+// Multi-letter spellings, longest first, mapped to phoneme sequences
+const SPELLINGS = [
+  ['tion', ['sh', 'uh', 'n']],
+  ['ough', ['oh']],
+  ['igh', ['ie']],
+  ['ee', ['ee']],
+  ['ea', ['ee']],
+  ['oo', ['oo']],
+  ['ou', ['ow']],
+  ['ow', ['oe']],
+  ['oa', ['oe']],
+  ['oi', ['oi']],
+  ['oy', ['oi']],
+  ['ai', ['ai']],
+  ['ay', ['ai']],
+  ['ey', ['ai']],
+  ['ie', ['ee']],
+  ['er', ['er']],
+  ['ir', ['er']],
+  ['ur', ['er']],
+  ['ar', ['o', 'r']],
+  ['or', ['oh', 'r']],
+  ['th', ['th']],
+  ['sh', ['sh']],
+  ['ch', ['t', 'sh']],
+  ['ph', ['f']],
+  ['wh', ['w']],
+  ['ck', ['k']],
+  ['ng', ['ng']],
+  ['qu', ['k', 'w']],
+]
+
+const LETTERS = {
+  a: ['a'],
+  b: ['b'],
+  c: ['k'],
+  d: ['d'],
+  e: ['e'],
+  f: ['f'],
+  g: ['g'],
+  h: ['h'],
+  i: ['i'],
+  j: ['d', 'zh'],
+  k: ['k'],
+  l: ['l'],
+  m: ['m'],
+  n: ['n'],
+  o: ['o'],
+  p: ['p'],
+  q: ['k'],
+  r: ['r'],
+  s: ['s'],
+  t: ['t'],
+  u: ['u'],
+  v: ['v'],
+  w: ['w'],
+  x: ['k', 's'],
+  y: ['y'],
+  z: ['z'],
+}
+
+const NOISE_GAIN = 0.3 // fricatives and bursts relative to voiced sounds
+
+const DIGITS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine']
+
+// Phoneme durations in ms at rate 1
+const DURATION = { vowel: 110, diphthong: 170, approx: 60, nasal: 70, fric: 95, stop: 75 }
+const PAUSE = { ',': 180, ';': 220, ':': 220, '.': 380, '!': 380, '?': 380 }
+
+/**
+ * Spell a word into phoneme names using SPELLINGS / LETTERS plus a few
+ * context rules (soft c/g, silent trailing e, word-final y).
+ */
+function wordToPhonemes(word) {
+  const phonemes = []
+  let i = 0
+  while (i < word.length) {
+    const rest = word.slice(i)
+    const next = word[i + 1]
+    // trailing silent e ("make", "home"), but not in short words like "be" / "the"
+    if (rest === 'e' && word.length > 3) break
+    // word-final y is a vowel ("happy", "my")
+    if (rest === 'y' && i > 0) {
+      phonemes.push(word.length <= 3 ? 'ie' : 'ee')
+      break
+    }
+    if ((word[i] === 'c' || word[i] === 'g') && next && 'eiy'.includes(next)) {
+      phonemes.push(...(word[i] === 'c' ? ['s'] : ['d', 'zh']))
+      i++
+      continue
+    }
+    const spelling = SPELLINGS.find(([letters]) => rest.startsWith(letters))
+    if (spelling) {
+      phonemes.push(...spelling[1])
+      i += spelling[0].length
+      continue
+    }
+    // double consonants are a single sound
+    if (word[i] === word[i - 1] && !VOWELS[word[i]]) {
+      i++
+      continue
+    }
+    if (LETTERS[word[i]]) phonemes.push(...LETTERS[word[i]])
+    i++
+  }
+  return phonemes
+}
+
+/**
+ * Break text into segments: { phoneme, dur (ms), stress, sentence, progress }
+ * and { pause, dur } entries. `progress` is how far (0..1) through its sentence
+ * a segment sits, which drives the pitch contour. `question` marks a rising end.
+ */
+function textToSegments(text, rate) {
+  const sentences = []
+  let current = { words: [], end: '.' }
+  const tokens = text
+    .toLowerCase()
+    .replace(/\d/g, d => ` ${DIGITS[d]} `)
+    .match(/[a-z']+|[,;:.!?]/g)
+  for (const token of tokens || []) {
+    if (PAUSE[token]) {
+      if (token === ',' || token === ';' || token === ':') {
+        current.words.push({ pause: PAUSE[token] })
+        continue
+      }
+      current.end = token
+      sentences.push(current)
+      current = { words: [], end: '.' }
+      continue
+    }
+    current.words.push({ phonemes: wordToPhonemes(token.replace(/'/g, '')) })
+  }
+  if (current.words.length) sentences.push(current)
+
+  const segments = []
+  for (const sentence of sentences) {
+    const items = []
+    for (const word of sentence.words) {
+      if (word.pause) {
+        items.push({ pause: true, dur: word.pause / rate })
+        continue
+      }
+      let stressed = false
+      for (const phoneme of word.phonemes) {
+        const isVowel = VOWELS[phoneme] || DIPHTHONGS[phoneme]
+        // first vowel of a word carries the stress, good enough for most English
+        const stress = isVowel && !stressed
+        if (isVowel) stressed = true
+        const kind = VOWELS[phoneme] ? 'vowel' : DIPHTHONGS[phoneme] ? 'diphthong' : CONSONANTS[phoneme].kind
+        items.push({ phoneme, kind, stress, dur: (DURATION[kind] * (stress ? 1.25 : 1)) / rate })
+      }
+      items.push({ pause: true, dur: 25 / rate })
+    }
+    const total = items.reduce((sum, item) => sum + item.dur, 0)
+    let elapsed = 0
+    for (const item of items) {
+      item.progress = total ? elapsed / total : 0
+      item.question = sentence.end === '?'
+      elapsed += item.dur
+      segments.push(item)
+    }
+    segments.push({ pause: true, dur: (PAUSE[sentence.end] || PAUSE['.']) / rate, progress: 1 })
+  }
+  // no point streaming silence after the last word
+  while (segments.length && segments[segments.length - 1].pause) segments.pop()
+  return segments
+}
+
+/**
+ * Two-pole resonator (Klatt style), normalised to unity gain at DC.
+ */
+class Resonator {
+  constructor() {
+    this.a = 0
+    this.b = 0
+    this.c = 0
+    this.y1 = 0
+    this.y2 = 0
+  }
+
+  tune(freq, bandwidth) {
+    const t = 1 / SAMPLE_RATE
+    this.c = -Math.exp(-2 * Math.PI * bandwidth * t)
+    this.b = 2 * Math.exp(-Math.PI * bandwidth * t) * Math.cos(2 * Math.PI * freq * t)
+    this.a = 1 - this.b - this.c
+  }
+
+  process(x) {
+    const y = this.a * x + this.b * this.y1 + this.c * this.y2
+    this.y2 = this.y1
+    this.y1 = y
+    return y
+  }
+}
+
+/**
+ * Render `text` with the given voice parameters:
+ *   pitch        base f0 in Hz
+ *   formantScale vocal tract size, 1 = adult male, ~1.17 adult female, ~1.3 child
+ *   rate         speaking speed multiplier
+ *   breathiness  0..1 aspiration noise mixed into voiced sounds
+ *   vibrato      pitch wobble depth as a fraction of f0
+ *   intonation   how much the pitch moves over a sentence, 0 = monotone
+ *
+ * Returns mono Int16 PCM at SAMPLE_RATE, or an empty buffer for unpronounceable text.
+ */
+export function synthesize(text, voice) {
+  const { pitch = 120, formantScale = 1, rate = 1, breathiness = 0.05, vibrato = 0, intonation = 1 } = voice
+  const segments = textToSegments(text, rate)
+  const totalMs = segments.reduce((sum, s) => sum + s.dur, 0)
+  const out = new Float32Array(Math.ceil((totalMs / 1000) * SAMPLE_RATE))
+  if (!out.length) return Buffer.alloc(0)
+
+  const formants = [new Resonator(), new Resonator(), new Resonator()]
+  const fricative = new Resonator()
+  const current = [500, 1500, 2500]
+  const bandwidths = [60, 90, 150]
+  const formantSmoothing = 1 - Math.exp(-1 / (0.015 * SAMPLE_RATE))
+  const ampSmoothing = 1 - Math.exp(-1 / (0.006 * SAMPLE_RATE))
+  let voicedAmp = 0
+  let noiseAmp = 0
+  let phase = 0
+  let lastSource = 0
+  let n = 0
+
+  for (const segment of segments) {
+    const length = Math.round((segment.dur / 1000) * SAMPLE_RATE)
+    const phoneme = segment.pause ? null : segment.phoneme
+    const vowel = VOWELS[phoneme]
+    const diphthong = DIPHTHONGS[phoneme]
+    const consonant = CONSONANTS[phoneme]
+    // declining pitch over a statement, rising at the end of a question
+    const progress = segment.progress || 0
+    let contour = 1.12 - 0.24 * progress
+    if (segment.question && progress > 0.7) contour = 0.9 + (progress - 0.7) * 1.5
+    contour = 1 + (contour - 1) * intonation
+    if (segment.stress) contour *= 1 + 0.08 * intonation
+
+    for (let i = 0; i < length && n < out.length; i++, n++) {
+      // targets for this sample
+      let target = null
+      let voicedTarget = 0
+      let noiseTarget = 0
+      let noise = null
+      if (vowel) {
+        target = vowel
+        voicedTarget = 1
+      } else if (diphthong) {
+        target = VOWELS[diphthong[i < length / 2 ? 0 : 1]]
+        voicedTarget = 1
+      } else if (consonant) {
+        const { kind } = consonant
+        if (kind === 'approx') {
+          target = consonant.f
+          voicedTarget = 0.6
+        } else if (kind === 'nasal') {
+          target = consonant.f
+          voicedTarget = 0.45
+        } else if (kind === 'fric') {
+          noise = consonant.noise
+          noiseTarget = noise[2]
+          voicedTarget = consonant.voiced ? 0.3 : 0
+        } else if (kind === 'stop') {
+          // closure, then a short burst of noise
+          const burst = i > length * 0.65
+          noise = consonant.noise
+          noiseTarget = burst ? noise[2] : 0
+          voicedTarget = consonant.voiced && !burst ? 0.15 : 0
+        }
+      }
+      if (target) {
+        for (let f = 0; f < 3; f++) {
+          current[f] += (target[f] * formantScale - current[f]) * formantSmoothing
+        }
+      }
+      voicedAmp += (voicedTarget - voicedAmp) * ampSmoothing
+      noiseAmp += (noiseTarget - noiseAmp) * ampSmoothing
+      if (n % 32 === 0) {
+        for (let f = 0; f < 3; f++) formants[f].tune(current[f], bandwidths[f] * formantScale)
+        if (noise) fricative.tune(Math.min(noise[0], SAMPLE_RATE * 0.45), noise[1])
+      }
+
+      // glottal source: raised cosine pulse, differentiated for lip radiation
+      const t = n / SAMPLE_RATE
+      const f0 = pitch * contour * (1 + vibrato * Math.sin(2 * Math.PI * 5.5 * t))
+      phase += f0 / SAMPLE_RATE
+      if (phase >= 1) phase -= 1
+      const pulse = phase < 0.6 ? 0.5 - 0.5 * Math.cos((Math.PI * phase) / 0.3) : 0
+      const source = pulse - lastSource
+      lastSource = pulse
+      const aspiration = (Math.random() * 2 - 1) * breathiness * 0.3
+
+      let sample = source * 4 + aspiration
+      for (const formant of formants) sample = formant.process(sample)
+      sample *= voicedAmp
+      // noise levels in the table are relative to a full vowel
+      if (noiseAmp > 0.001) sample += fricative.process(Math.random() * 2 - 1) * noiseAmp * NOISE_GAIN
+      out[n] = sample
+    }
+  }
+
+  let peak = 0
+  for (let i = 0; i < out.length; i++) peak = Math.max(peak, Math.abs(out[i]))
+  const gain = peak ? 0.7 / peak : 0
+  const pcm = Buffer.alloc(out.length * 2)
+  for (let i = 0; i < out.length; i++) {
+    pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(out[i] * gain * 32767))), i * 2)
+  }
+  return pcm
+}
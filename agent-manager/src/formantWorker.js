@@ -0,0 +1,11 @@
+import { parentPort } from 'node:worker_threads'
+import { synthesize } from './formantSynth.js'
+
+// Runs the formant synth for tts.js off the main thread, one job at a time
+parentPort.on('message', ({ id, text, voice }) => {
+  try {
+    parentPort.postMessage({ id, pcm: synthesize(text, voice) })
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message })
+  }
+})
@@ -1,74 +1,318 @@
 import { createServer } from 'node:http'
+import { timingSafeEqual } from 'node:crypto'
 import { URL } from 'node:url'
 import { WebSocketServer } from 'ws'
 import { nanoid } from 'nanoid'
-import { AgentConnection } from './AgentConnection.js'
+import { AgentConnection, SIMULATOR, NAV_TICK_MS, MOVE_DIRECTIONS, estimateSpeechMs, validateAudioFormat, pcmDurationMs } from './AgentConnection.js'
 import { avatarLibrary, resolveAvatarRef } from './avatarLibrary.js'
 import { isCORSSafe, proxyAvatar } from './avatarProxy.js'
 import { EventBuffer } from './EventBuffer.js'
+import { SpawnQueue } from './SpawnQueue.js'
+import { SpeechQueue } from './SpeechQueue.js'
+import { SpatialGrid } from './SpatialGrid.js'
+import { Webhook, checkWebhookHost } from './Webhook.js'
+import { RateLimiter } from './RateLimiter.js'
+import { emoteLibrary, resolveEmote, MAX_EMOTE_DURATION } from './emoteLibrary.js'
+import { listVoices, isVoice, defaultVoiceFor, synthesizeSpeech } from './tts.js'
+import {
+  registerProfile,
+  getProfileByApiKey,
+  getProfileByName,
+  isNameRegistered,
+  updateProfile,
+  recordMessageSent,
+  recordTimeInWorld,
+  serializeProfile,
+  isApiKey,
+  MAX_DESCRIPTION_LENGTH,
+} from './profiles.js'
+import { createBan, listBans, deleteBan, findBan, serializeBan } from './bans.js'
+import { moderateText, forgetSpeaker, recordModeration, listModerationLog } from './moderation.js'
+import { loadWorlds } from './worlds.js'
 
 const PORT = process.env.AGENT_MANAGER_PORT || 6000
 const HYPERFY_WS_URL = process.env.HYPERFY_WS_URL || 'ws://localhost:4000/ws'
 const HYPERFY_API_URL = process.env.HYPERFY_API_URL || 'http://localhost:4000'
+const ADMIN_KEY = process.env.AGENT_ADMIN_KEY || '' // admin API is off without one
 const MAX_VRM_UPLOAD_SIZE = parseInt(process.env.MAX_VRM_UPLOAD_SIZE || '25', 10) * 1024 * 1024
 const INACTIVITY_TTL = 2 * 60 * 1000 // 2 min inactivity for all agents
 const MAX_BODY_SIZE = 1 * 1024 * 1024   // 1MB request body limit
 const MAX_CHAT_LENGTH = 500              // max characters in a chat message
 const MAX_NAME_LENGTH = 32               // max characters in an agent name
-const PROXIMITY_RADIUS = 5               // meters for proximity events
-const MAX_AGENTS = 100
+const PROXIMITY_RADIUS = 5               // default meters for proximity events, agents can pick their own
+const PROXIMITY_HYSTERESIS = 1           // default extra meters someone must back off before they count as gone
+const MAX_PROXIMITY_RADIUS = 50
+const MAX_PROXIMITY_HYSTERESIS = 10
+// Hearing ranges in meters: a whisper and a shout carry a fixed distance, normal speech reaches each listener's hearing radius
+const WHISPER_RANGE = 3
+const HEARING_RADIUS = parseFloat(process.env.HEARING_RADIUS || '15')
+const SHOUT_RANGE = 50
+const MAX_AGENTS = parseInt(process.env.MAX_AGENTS || '100', 10) // per world, unless WORLDS_CONFIG says otherwise
+const RESUME_GRACE_MS = parseInt(process.env.RESUME_GRACE_SECONDS || '60', 10) * 1000
+// Close codes a controller sends when it means to leave, anything else (1006 etc.) is treated as a dropped connection
+const DELIBERATE_CLOSE_CODES = new Set([1000, 1005])
+// Speech turn-taking: per agent, or one speaker at a time world-wide in stage mode
+const SPEECH_STAGE_MODE = process.env.SPEECH_STAGE_MODE === 'true'
+const MAX_QUEUED_SPEECH = 5          // lines an agent may have waiting
+const STREAM_ESTIMATE_MS = 5000      // assumed length of a live audio stream, for wait estimates
+const STREAM_IDLE_MS = 5000          // a live stream without audio_data this long is over
+const SSE_HEARTBEAT_MS = 15_000      // comment line that keeps idle event streams (and their proxies) open
+const SSE_RETRY_MS = 3000            // reconnect delay suggested to EventSource clients
+
+// Token buckets per agent, defaults follow the Rate Limits table in AgentLobbySpec.md
+const RATE_LIMITS = {
+  api: { limit: parseInt(process.env.RATE_LIMIT_API_PER_MIN || '100', 10), windowMs: 60_000 },
+  speak: { limit: 1, windowMs: parseInt(process.env.RATE_LIMIT_SPEECH_INTERVAL || '10', 10) * 1000 },
+  move: { limit: parseInt(process.env.RATE_LIMIT_MOVE_PER_MIN || '10', 10), windowMs: 60_000 },
+  poll: { limit: parseInt(process.env.RATE_LIMIT_POLL_PER_MIN || '60', 10), windowMs: 60_000 },
+}
+// Buckets a command draws from besides `api`, shared by WS, REST and plaintext commands.
+// Unlike `api` they are charged once the command has passed validation (see chargeCommand).
+const COMMAND_RATE_LIMITS = {
+  speak: ['speak'],
+  move: ['move'],
+  navigate: ['move'],
+  goto: ['move'],
+  state: ['poll'],
+  dm: ['speak'],
+  travel: ['move'],
+  audio_play: ['speak'],
+  audio_start: ['speak'],
+}
+// First byte of a binary WS frame → the JSON command it stands for
+const BINARY_COMMANDS = { 0x01: 'audio_start', 0x02: 'audio_data', 0x03: 'audio_stop', 0x04: 'audio_play' }
 
 // ---------------------------------------------------------------------------
 // Global agent registry
 // ---------------------------------------------------------------------------
 const agentSessions = new Map()  // agentId → AgentSession
 const tokenIndex = new Map()     // token → agentId (reverse lookup for auth)
-const proximityState = new Map() // agentId → Set<nearbyAgentId>
+const resumeIndex = new Map()    // resume token → agentId (WS agents only)
+const proximityState = new Map() // agentId → Map<playerId, { displayName, id, playerId }> of players in range
+const playerAgents = new Map()   // Hyperfy player id → agentId, for the players that are our agents
+const spawnQueue = new SpawnQueue() // spawns waiting for a free slot, see admitQueued()
+const failedSpawns = new Map()   // token → { message, at } for queued HTTP spawns that failed to connect
+const rateLimiter = new RateLimiter(RATE_LIMITS)
+const admitting = new Map()      // agentId → queue entry for spawns still connecting, they already hold a slot
 
 const round2 = (n) => Math.round(n * 100) / 100
 
+const RECENT_SPEECH_LIMIT = 20
+const VOLUMES = ['whisper', 'normal', 'shout']
+const HEARING_MODES = ['all', 'spatial']
+const REPLY_WINDOW_MS = 30_000        // a line right after one of ours counts as a reply for this long
+const startedAt = Date.now()
+
+// World ticks share the navigation tick length, so `tick` and `eta_ticks` line up
+const currentTick = () => Math.floor((Date.now() - startedAt) / NAV_TICK_MS)
+
+// ---------------------------------------------------------------------------
+// World registry (see worlds.js for WORLDS_CONFIG)
+// ---------------------------------------------------------------------------
+/**
+ * World shape:
+ * { id, name, url, capacity, stage,
+ *   grid: SpatialGrid,        every player our agents there can see, humans included, keyed by Hyperfy player id
+ *   recentSpeech: [],         last RECENT_SPEECH_LIMIT chat lines heard there, oldest first
+ *   speech: SpeechQueue }     turn-taking for the agents there
+ */
+const worlds = new Map() // world id → World, in config order
+for (const config of loadWorlds({ url: HYPERFY_WS_URL, capacity: MAX_AGENTS, stage: SPEECH_STAGE_MODE })) {
+  worlds.set(config.id, {
+    ...config,
+    grid: new SpatialGrid(),
+    recentSpeech: [],
+    speech: new SpeechQueue({ stage: config.stage, maxPerAgent: MAX_QUEUED_SPEECH }),
+  })
+}
+const defaultWorld = worlds.values().next().value
+
+// A spawn's `world`, the default one when left out. Returns null for an unknown id.
+function resolveWorld(id) {
+  if (id === undefined || id === null || id === '') return defaultWorld
+  return (typeof id === 'string' && worlds.get(id)) || null
+}
+
+// Per-world occupancy, for /health, world status and `who`
+function describeWorld(world) {
+  let agents = 0
+  for (const session of agentSessions.values()) {
+    if (session.world === world) agents++
+  }
+  return { id: world.id, name: world.name, agents, capacity: world.capacity, queue_length: spawnQueue.waitingFor(world) }
+}
+
 /**
  * AgentSession shape:
- * { agent: AgentConnection, transport: 'ws'|'http', token: string|null,
+ * { agent: AgentConnection, world: World, transport: 'ws'|'http', token: string|null,
  *   ws: WebSocket|null, eventBuffer: EventBuffer|null,
- *   lastActivity: number, displayName: string }
+ *   eventStream: { close() }|null, webhook: Webhook|null,
+ *   lastActivity: number, displayName: string,
+ *   profileId: string|null, joinedAt: number,
+ *   hearing: { mode: 'all'|'spatial', radius: number },
+ *   proximity: { radius: number, hysteresis: number },
+ *   mute: { until: number|null, reason: string }|null,
+ *   hyperfyTokens: Map<worldId, string>, travelingTo: World|null,
+ *   resumeToken: string|null, resumeTimer: Timeout|null }
+ *
+ * A WS session whose socket dropped keeps its agent with `ws: null` and an
+ * eventBuffer collecting events until it resumes or resumeTimer fires.
  */
 
 function destroySession(agentId) {
   const session = agentSessions.get(agentId)
   if (!session) return
+  const playerId = session.agent?.getPlayerId()
   if (session.token) tokenIndex.delete(session.token)
+  if (session.resumeToken) resumeIndex.delete(session.resumeToken)
+  clearTimeout(session.resumeTimer)
+  session.eventStream?.close()
+  session.webhook?.flush()
+  // before disconnecting, so a stream being cut off still gets its stop packet out
+  session.world.speech.remove(agentId)
+  forgetSpeaker(agentId)
+  spawnQueue.recordSession(Date.now() - session.joinedAt)
+  if (session.profileId) {
+    recordTimeInWorld(session.profileId, Date.now() - session.joinedAt).catch((err) => {
+      console.error(`Failed to record time in world for ${session.profileId}:`, err.message)
+    })
+  }
   if (session.agent) {
     try { session.agent.disconnect() } catch { /* already disconnected */ }
   }
 
-  // Clean up proximity state — emit exit events to remaining nearby agents
-  const nearbySet = proximityState.get(agentId)
-  if (nearbySet) {
-    for (const otherId of nearbySet) {
-      const otherSet = proximityState.get(otherId)
-      if (otherSet) otherSet.delete(agentId)
+  agentSessions.delete(agentId)
+  leaveWorld(agentId, session.world, playerId)
+  console.log(`Session destroyed: ${agentId} (${session.transport})`)
+  admitQueued()
+}
+
+// Once an agent is gone from a world (despawned or traveled on): clean up proximity
+// state and emit exit events to the agents that had it in range
+function leaveWorld(agentId, world, playerId) {
+  proximityState.delete(agentId)
+  if (playerId) {
+    world.grid.remove(playerId)
+    playerAgents.delete(playerId)
+    for (const [otherId, inRange] of proximityState) {
+      const entry = inRange.get(playerId)
+      if (!entry) continue
+      inRange.delete(playerId)
       const otherSession = agentSessions.get(otherId)
-      if (otherSession) {
-        const exitEvent = {
-          type: 'proximity',
-          entered: [],
-          exited: [{ displayName: session.displayName, id: agentId }],
-        }
-        pushEvent(otherSession, exitEvent)
-      }
+      if (otherSession) pushEvent(otherSession, { type: 'proximity', entered: [], exited: [entry] })
     }
-    proximityState.delete(agentId)
   }
+  // with nobody left to watch the world, forget it rather than keep players that may have left since
+  if (![...agentSessions.values()].some(s => s.world === world)) world.grid.clear()
+}
 
-  agentSessions.delete(agentId)
-  console.log(`Session destroyed: ${agentId} (${session.transport})`)
+// Keep a dropped WS agent in the world for a grace window so its controller can resume
+function detachSession(agentId) {
+  const session = agentSessions.get(agentId)
+  if (!session) return
+  session.ws = null
+  session.eventBuffer = new EventBuffer()
+  session.resumeTimer = setTimeout(() => {
+    console.log(`Resume window expired: ${agentId}`)
+    destroySession(agentId)
+  }, RESUME_GRACE_MS)
+  console.log(`WS agent detached: ${agentId}, resumable for ${RESUME_GRACE_MS / 1000}s`)
+}
+
+// ---------------------------------------------------------------------------
+// Capacity queue
+// ---------------------------------------------------------------------------
+// Every world has its own capacity, queued spawns wait for a slot in theirs.
+// Queue entry shape:
+// { id, world: World, transport: 'ws'|'http', token: string|null, ws: WebSocket|null,
+//   profileId: string|null, displayName: string, enqueuedAt: number,
+//   lastPoll: number, admit: () => Promise<void> }
+//
+// `admit` connects the agent and registers its session, it is supplied by
+// the spawn handler so queued and immediate spawns share the same code.
+
+// Spawns still connecting and agents on their way in hold a slot too
+function hasFreeSlot(world) {
+  let taken = 0
+  for (const session of agentSessions.values()) {
+    if (session.world === world || session.travelingTo === world) taken++
+  }
+  for (const entry of admitting.values()) {
+    if (entry.world === world) taken++
+  }
+  return taken < world.capacity
+}
+
+// New spawns (and travelers) may only skip the queue when nobody is waiting for that world
+function canSpawnNow(world) {
+  return spawnQueue.waitingFor(world) === 0 && hasFreeSlot(world)
+}
+
+async function admit(entry) {
+  admitting.set(entry.id, entry)
+  try {
+    return await entry.admit()
+  } finally {
+    admitting.delete(entry.id)
+  }
+}
+
+function admitQueued() {
+  let admitted = false
+  for (const entry of [...spawnQueue]) {
+    if (!hasFreeSlot(entry.world)) continue
+    spawnQueue.remove(entry.id)
+    admitted = true
+    console.log(`Admitting queued agent: ${entry.displayName} (${entry.id}, ${entry.transport}) to ${entry.world.id}`)
+    // a failed connect frees the slot again, so give the next in line a go
+    admit(entry).catch((err) => {
+      console.error(`Queued spawn failed for ${entry.id}:`, err.message)
+      if (entry.ws) sendError(entry.ws, 'SPAWN_FAILED', err.message)
+      if (entry.token) failedSpawns.set(entry.token, { message: err.message, at: Date.now() })
+    }).finally(admitQueued)
+  }
+  if (admitted) notifyQueuePositions()
+}
+
+function getQueueStatus(id) {
+  const entry = spawnQueue.get(id)
+  if (!entry) return null
+  const position = spawnQueue.position(id)
+  return {
+    world: entry.world.id,
+    queue_position: position,
+    estimated_wait_minutes: spawnQueue.estimateWaitMinutes(position, entry.world.capacity),
+  }
+}
+
+// HTTP agents see their position when they poll, WS agents get told whenever it moves
+function notifyQueuePositions() {
+  for (const entry of spawnQueue) {
+    if (entry.transport === 'ws' && entry.ws) {
+      send(entry.ws, 'queue_update', getQueueStatus(entry.id))
+    }
+  }
+}
+
+// Totals across all worlds, then each world on its own
+function getWorldStatus() {
+  let capacity = 0
+  for (const world of worlds.values()) capacity += world.capacity
+  return {
+    active_agents: agentSessions.size,
+    max_capacity: capacity,
+    queue_length: spawnQueue.length,
+    worlds: [...worlds.values()].map(describeWorld),
+  }
 }
 
 // ---------------------------------------------------------------------------
 // Display name disambiguation
 // ---------------------------------------------------------------------------
-function resolveDisplayName(name, agentId) {
+function resolveDisplayName(name, agentId, { registered = false, reserved = false } = {}) {
+  // A registered name belongs to its profile; anyone else borrowing it gets a suffix
+  if (registered) return name
+  if (reserved) return `${name}#${agentId.substring(0, 3)}`
   for (const [id, session] of agentSessions) {
     if (id !== agentId && session.agent.name === name) {
       return `${name}#${agentId.substring(0, 3)}`
@@ -77,6 +321,319 @@ function resolveDisplayName(name, agentId) {
   return name
 }
 
+// ---------------------------------------------------------------------------
+// Registered identities (API key → profile)
+// ---------------------------------------------------------------------------
+function findSessionByProfile(profileId) {
+  for (const [id, session] of agentSessions) {
+    if (session.profileId === profileId) return { id, session }
+  }
+  return null
+}
+
+// Work out who is spawning. Anonymous agents need a name; registered ones bring their profile.
+// Returns { profile, name, reserved } or { status, code, message } on failure.
+async function resolveSpawnIdentity(apiKey, name) {
+  if (apiKey) {
+    const profile = await getProfileByApiKey(apiKey)
+    if (!profile) return { status: 401, code: 'UNAUTHORIZED', message: 'Invalid API key' }
+    if (findSessionByProfile(profile.id)) {
+      return { status: 409, code: 'ALREADY_SPAWNED', message: `${profile.name} is already in the world` }
+    }
+    if (spawnQueue.hasProfile(profile.id)) {
+      return { status: 409, code: 'ALREADY_QUEUED', message: `${profile.name} is already waiting in the queue` }
+    }
+    const ban = await findBan({ name: profile.name, apiKey })
+    if (ban) return { status: 403, code: 'BANNED', message: banMessage(ban) }
+    return { profile, name: profile.name, reserved: false }
+  }
+  const nameError = validateName(name)
+  if (nameError) return { status: 400, code: 'INVALID_PARAMS', message: nameError }
+  const ban = await findBan({ name })
+  if (ban) return { status: 403, code: 'BANNED', message: banMessage(ban) }
+  return { profile: null, name, reserved: await isNameRegistered(name) }
+}
+
+function banMessage(ban) {
+  const until = ban.expiresAt ? ` until ${ban.expiresAt}` : ''
+  return `Banned${until}${ban.reason ? `: ${ban.reason}` : ''}`
+}
+
+// Keep the Hyperfy user stable by reusing the auth token it issued us. A token is only
+// good in the world that issued it: sessions keep one per world they've been to, profiles
+// keep the default world's across sessions.
+function rememberHyperfyUser(session) {
+  const token = session.agent.authToken
+  if (!token || session.hyperfyTokens.get(session.world.id) === token) return
+  session.hyperfyTokens.set(session.world.id, token)
+  if (!session.profileId || session.world !== defaultWorld) return
+  updateProfile(session.profileId, { hyperfyAuthToken: token }).catch((err) => {
+    console.error(`Failed to save Hyperfy auth token for ${session.profileId}:`, err.message)
+  })
+}
+
+// The tokens a new session starts with
+function initialHyperfyTokens(profile) {
+  return new Map(profile?.hyperfyAuthToken ? [[defaultWorld.id, profile.hyperfyAuthToken]] : [])
+}
+
+function countMessage(session) {
+  if (!session.profileId) return
+  recordMessageSent(session.profileId).catch((err) => {
+    console.error(`Failed to record message for ${session.profileId}:`, err.message)
+  })
+}
+
+function randomAvatarRef() {
+  return avatarLibrary[Math.floor(Math.random() * avatarLibrary.length)].id
+}
+
+// ---------------------------------------------------------------------------
+// Rate limiting
+// ---------------------------------------------------------------------------
+// Registered agents are limited per profile so respawning doesn't refill their buckets.
+// Returns null if allowed, or { error: 'RATE_LIMITED', message, retryAfter } (seconds).
+function checkRateLimit(session, actions) {
+  const limited = rateLimiter.take(session.profileId || session.agent.id, actions)
+  if (!limited) return null
+  return {
+    error: 'RATE_LIMITED',
+    message: `Rate limit exceeded for ${limited.action}, retry in ${limited.retryAfter}s`,
+    retryAfter: limited.retryAfter,
+  }
+}
+
+// Charge a command to its own buckets, right before it runs, so one that is
+// rejected as invalid only costs its API request. Same result as checkRateLimit.
+function chargeCommand(session, action) {
+  const buckets = COMMAND_RATE_LIMITS[action]
+  return buckets ? checkRateLimit(session, buckets) : null
+}
+
+// ---------------------------------------------------------------------------
+// Player index (proximity events, `nearby`)
+// Every agent mirrors every player's position in its world, so all mirrors
+// of a world feed that world's grid.
+// ---------------------------------------------------------------------------
+function trackPlayers(agent, world) {
+  agent.onPlayerUpdate = (player) => {
+    if (!player.position) return
+    if (player.id === agent.getPlayerId()) playerAgents.set(player.id, agent.id)
+    world.grid.set(player.id, player.position, player.name)
+  }
+  agent.onPlayerRemoved = (playerId) => world.grid.remove(playerId)
+}
+
+// Who a player is to agents: humans have no agent id
+function describePlayer(playerId, name) {
+  const other = findSessionByPlayerId(playerId)
+  return { displayName: other ? other.session.displayName : name, id: other ? other.id : null, playerId }
+}
+
+const toXYZ = ([x, y, z]) => ({ x: round2(x), y: round2(y), z: round2(z) })
+
+// Players within `radius` meters of the agent, closest first
+function findNearby(session, radius) {
+  const pos = session.agent.getPosition()
+  const playerId = session.agent.getPlayerId()
+  return session.world.grid.query(pos.x, pos.z, radius)
+    .filter(hit => hit.id !== playerId)
+    .map(hit => ({ ...describePlayer(hit.id, hit.data), position: toXYZ(hit.position), distance: round2(hit.distance) }))
+}
+
+// Shared by WS, REST and plaintext. Returns { result } or { error }.
+function setProximity(session, { radius, hysteresis }) {
+  if (radius !== undefined && (typeof radius !== 'number' || !(radius > 0) || radius > MAX_PROXIMITY_RADIUS)) {
+    return { error: `radius must be a number of meters (0-${MAX_PROXIMITY_RADIUS})` }
+  }
+  if (hysteresis !== undefined && (typeof hysteresis !== 'number' || !(hysteresis >= 0) || hysteresis > MAX_PROXIMITY_HYSTERESIS)) {
+    return { error: `hysteresis must be a number of meters (0-${MAX_PROXIMITY_HYSTERESIS})` }
+  }
+  if (radius !== undefined) session.proximity.radius = radius
+  if (hysteresis !== undefined) session.proximity.hysteresis = hysteresis
+  return { result: { ...session.proximity } }
+}
+
+// ---------------------------------------------------------------------------
+// World state snapshot (GET /api/agents/:id/state, `state` command)
+// ---------------------------------------------------------------------------
+function findSessionByPlayerId(playerId) {
+  const id = playerAgents.get(playerId)
+  const session = id && agentSessions.get(id)
+  return session ? { id, session } : null
+}
+
+// Every agent in a world hears every chat line there, so dedupe by message id
+function logSpeech(world, displayName, chatMsg) {
+  const recentSpeech = world.recentSpeech
+  if (!chatMsg || recentSpeech.some(entry => entry.id === chatMsg.id)) return
+  recentSpeech.push({ id: chatMsg.id, agent: displayName, fromId: chatMsg.fromId, text: chatMsg.body, tick: currentTick() })
+  if (recentSpeech.length > RECENT_SPEECH_LIMIT) recentSpeech.shift()
+}
+
+// ---------------------------------------------------------------------------
+// Hearing (chat delivered by distance)
+// Lines carry a volume, chosen by our own speakers and 'normal' for everyone
+// else. Chat events tell each listener how far away the speaker was, and
+// listeners in 'spatial' mode only get lines whose volume carries that far.
+// ---------------------------------------------------------------------------
+const chatVolumes = new Map() // chat message id → volume, for the lines our agents whispered or shouted
+
+function rememberVolume(chatMsg, volume) {
+  if (volume === 'normal') return
+  chatVolumes.set(chatMsg.id, volume)
+  // everyone has heard a line long before this many more are said
+  if (chatVolumes.size > 200) chatVolumes.delete(chatVolumes.keys().next().value)
+}
+
+function hearingRange(session, volume) {
+  if (volume === 'whisper') return WHISPER_RANGE
+  if (volume === 'shout') return SHOUT_RANGE
+  return session.hearing.radius
+}
+
+// The chat event for a line as `session` hears it, or null if it is out of earshot
+function hearChat(session, chatMsg) {
+  const volume = chatVolumes.get(chatMsg.id) || 'normal'
+  const distance = chatMsg.fromId ? session.agent.distanceTo(chatMsg.fromId) : null
+  // lines without a speaker (system messages) are heard everywhere, a speaker we can't place is not
+  if (session.hearing.mode === 'spatial' && chatMsg.fromId) {
+    if (distance === null || distance > hearingRange(session, volume)) return null
+  }
+  return {
+    type: 'chat',
+    from: resolveFromName(chatMsg.fromId, chatMsg.from),
+    fromId: chatMsg.fromId,
+    body: chatMsg.body,
+    id: chatMsg.id,
+    createdAt: chatMsg.createdAt,
+    volume,
+    distance,
+  }
+}
+
+// Shared by WS, REST and plaintext. Returns { result } or { error }.
+function setHearing(session, { mode, radius }) {
+  if (mode !== undefined && !HEARING_MODES.includes(mode)) return { error: `mode must be one of: ${HEARING_MODES.join(', ')}` }
+  if (radius !== undefined && (typeof radius !== 'number' || !(radius > 0) || radius > SHOUT_RANGE)) {
+    return { error: `radius must be a number of meters (0-${SHOUT_RANGE})` }
+  }
+  if (mode !== undefined) session.hearing.mode = mode
+  if (radius !== undefined) session.hearing.radius = radius
+  return { result: { ...session.hearing, whisper_range: WHISPER_RANGE, shout_range: SHOUT_RANGE } }
+}
+
+// ---------------------------------------------------------------------------
+// Mentions
+// A line is addressed to an agent if it @mentions its display name, opens with
+// the name ("Dee, ..." / "hey Dee ..."), or answers the agent's own line that
+// came right before it. Out of earshot the agent still learns it was addressed,
+// but not what was said, and whispers stay with those close enough to hear them.
+// ---------------------------------------------------------------------------
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+function addressedBy(session, chatMsg) {
+  const name = escapeRegExp(session.displayName)
+  const body = chatMsg.body || ''
+  if (new RegExp(`(?:^|[^\\w@])@${name}(?![\\w-])`, 'i').test(body)) return { reason: 'mention' }
+  if (new RegExp(`^(?:(?:hey|hi|hello|yo)\\s+${name}(?![\\w-])|${name}\\s*(?:[,:]|$))`, 'i').test(body)) {
+    return { reason: 'name' }
+  }
+  // a line @addressing someone else isn't a reply to us
+  if (body.includes('@')) return null
+  const recentSpeech = session.world.recentSpeech
+  const index = recentSpeech.findIndex(entry => entry.id === chatMsg.id)
+  const previous = recentSpeech[index - 1]
+  if (index > 0 && previous.fromId === session.agent.getPlayerId()) {
+    if ((currentTick() - previous.tick) * NAV_TICK_MS <= REPLY_WINDOW_MS) return { reason: 'reply', in_reply_to: previous.id }
+  }
+  return null
+}
+
+// The mention event for a chat line addressed to `session`'s agent, or null.
+// `heard` is whether the agent got the line itself as a chat event.
+function mentionFor(session, chatMsg, heard) {
+  if (!heard && chatVolumes.get(chatMsg.id) === 'whisper') return null
+  const addressed = addressedBy(session, chatMsg)
+  if (!addressed) return null
+  return {
+    type: 'mention',
+    ...addressed,
+    heard,
+    chat: {
+      from: resolveFromName(chatMsg.fromId, chatMsg.from),
+      fromId: chatMsg.fromId,
+      body: heard ? chatMsg.body : null,
+      id: chatMsg.id,
+      createdAt: chatMsg.createdAt,
+    },
+  }
+}
+
+// An agent's onWorldChat: log the line for its world, then pass it on as chat and mention
+// events. Lines reaching an agent that is still connecting, or that its session has
+// already replaced by traveling, are only logged.
+function hearWorldChat(id, agent, world, chatMsg) {
+  logSpeech(world, resolveFromName(chatMsg.fromId, chatMsg.from), chatMsg)
+  if (chatMsg.fromId === agent.getPlayerId()) return
+  const session = agentSessions.get(id)
+  if (session?.agent !== agent) return
+  // through pushEvent so chat is buffered while the controller is away
+  const event = hearChat(session, chatMsg)
+  if (event) pushEvent(session, event)
+  const mention = mentionFor(session, chatMsg, !!event)
+  if (mention) pushEvent(session, mention)
+}
+
+// Everything a polling agent needs in one go, read from its own mirror of the world so positions agree
+function buildWorldState(agentId, session) {
+  const agent = session.agent
+  const playerId = agent.getPlayerId()
+  const own = agent.getPosition()
+  const agents = []
+  for (const player of agent.players.values()) {
+    if (player.id === playerId || !player.position) continue
+    const other = findSessionByPlayerId(player.id)
+    const [x, y, z] = player.position
+    const entry = {
+      name: other ? other.session.displayName : player.name,
+      id: other ? other.id : null,
+      player_id: player.id,
+      is_agent: !!other,
+      position: { x: round2(x), y: round2(y), z: round2(z) },
+      avatar: other ? other.session.agent.avatar : player.sessionAvatar || player.avatar || null,
+      speaking: other ? other.session.agent.isSpeaking() : false,
+    }
+    if (own) entry.distance = round2(Math.hypot(x - own.x, z - own.z))
+    agents.push(entry)
+  }
+  return {
+    tick: currentTick(),
+    you: {
+      id: agentId,
+      name: session.displayName,
+      world: session.world.id,
+      position: own,
+      yaw: agent.getYaw(),
+      speaking: agent.isSpeaking(),
+    },
+    agents,
+    recent_speech: session.world.recentSpeech.map(({ agent, text, tick }) => ({ agent, text, tick })),
+    queue_position: null,
+  }
+}
+
+// Queued agents have no body yet, but can still see where they stand
+function buildQueuedState(queueId) {
+  return {
+    tick: currentTick(),
+    you: null,
+    agents: [],
+    recent_speech: [],
+    ...getQueueStatus(queueId),
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Resolve fromId → displayName for chat messages
 // ---------------------------------------------------------------------------
@@ -90,7 +647,7 @@ function resolveFromName(fromId, fallback) {
 }
 
 // ---------------------------------------------------------------------------
-// Push event to a session (WS or HTTP event buffer)
+// Push event to a session (WS or HTTP event buffer, plus its webhook)
 // ---------------------------------------------------------------------------
 function pushEvent(session, event) {
   if (session.transport === 'ws' && session.ws) {
@@ -98,24 +655,30 @@ function pushEvent(session, event) {
       session.ws.send(JSON.stringify(event))
     }
   } else if (session.eventBuffer) {
-    session.eventBuffer.push(event)
+    // the webhook gets what the buffer accepted: deduped, with seq and timestamp
+    const buffered = session.eventBuffer.push(event)
+    if (buffered) session.webhook?.push(buffered)
   }
 }
 
 // ---------------------------------------------------------------------------
 // Resolve agent session by displayName (case-insensitive, strips @)
+// With `world`, only agents there count (someone to face or walk to).
 // ---------------------------------------------------------------------------
-function resolveAgentByName(name) {
+function resolveAgentByName(name, world = null) {
   const clean = name.startsWith('@') ? name.slice(1) : name
   const lower = clean.toLowerCase()
-  for (const [id, session] of agentSessions) {
-    if (session.agent.status === 'connected' && session.displayName.toLowerCase() === lower) {
+  const candidates = [...agentSessions].filter(([, session]) => {
+    return session.agent.status === 'connected' && (!world || session.world === world)
+  })
+  for (const [id, session] of candidates) {
+    if (session.displayName.toLowerCase() === lower) {
       return { id, session }
     }
   }
   // Partial match on base name (without #suffix)
-  for (const [id, session] of agentSessions) {
-    if (session.agent.status === 'connected' && session.agent.name.toLowerCase() === lower) {
+  for (const [id, session] of candidates) {
+    if (session.agent.name.toLowerCase() === lower) {
       return { id, session }
     }
   }
@@ -123,13 +686,324 @@ function resolveAgentByName(name) {
 }
 
 // ---------------------------------------------------------------------------
-// Speak text validation
+// Navigation plan summary (path_length / eta_ticks as in AgentLobbySpec.md)
 // ---------------------------------------------------------------------------
-function validateSpeakText(text) {
-  if (/^\s*\{?\s*"?type"?\s*[:=]/i.test(text) || /^\s*type\s*:\s*\w+/i.test(text)) {
-    return 'Text looks like a malformed command. Send commands as proper JSON messages, not as speak text.'
+function describePlan(agent, plan, run) {
+  const etaMs = agent.estimateEta(plan.length, run)
+  return {
+    path_length: plan.length,
+    waypoints: plan.path.length,
+    eta_ms: etaMs,
+    eta_ticks: Math.ceil(etaMs / NAV_TICK_MS),
   }
-  return null
+}
+
+// ---------------------------------------------------------------------------
+// Emote playback (shared by WS, REST and plaintext)
+// ---------------------------------------------------------------------------
+function playEmote(agent, name, { duration = null, loop = false } = {}) {
+  if (!name || typeof name !== 'string') return { error: 'emote requires a name (see the emote catalog)' }
+  if (duration !== null && (!Number.isInteger(duration) || duration <= 0 || duration > MAX_EMOTE_DURATION)) {
+    return { error: `Duration must be a whole number of milliseconds (1-${MAX_EMOTE_DURATION})` }
+  }
+  const emote = resolveEmote(name.toLowerCase(), { duration, loop: !!loop })
+  if (!emote) return { error: `Unknown emote: ${name}` }
+  agent.emote(emote.url, emote.duration)
+  const result = { status: emote.url ? 'playing' : 'stopped', emote: emote.id, loop: emote.loop }
+  if (emote.duration) result.duration = emote.duration
+  return { result }
+}
+
+// ---------------------------------------------------------------------------
+// Direct messages (shared by WS, REST and plaintext)
+// Only the target's session hears it, as a `dm` event. Nothing reaches world chat.
+// ---------------------------------------------------------------------------
+function sendDirectMessage(session, to, text) {
+  const muted = muteError(session)
+  if (muted) return { code: 'MUTED', error: muted }
+  if (!to || typeof to !== 'string') return { error: 'dm requires a target agent (@Name)' }
+  if (!text || typeof text !== 'string') return { error: 'dm requires text' }
+  if (text.length > MAX_CHAT_LENGTH) return { error: `Message too long (max ${MAX_CHAT_LENGTH} characters)` }
+  const target = resolveAgentByName(to)
+  if (!target) return { error: `Agent not found: ${to}` }
+  if (target.session === session) return { error: 'Cannot send a direct message to yourself' }
+  const limited = chargeCommand(session, 'dm')
+  if (limited) return { limited }
+  const message = {
+    id: nanoid(10),
+    from: session.displayName,
+    fromId: session.agent.getPlayerId(),
+    to: target.session.displayName,
+    text,
+    createdAt: new Date().toISOString(),
+  }
+  pushEvent(target.session, { type: 'dm', ...message })
+  countMessage(session)
+  return { result: { id: message.id, to: message.to, toId: target.id, createdAt: message.createdAt } }
+}
+
+// ---------------------------------------------------------------------------
+// Travel between worlds (shared by WS, REST and plaintext)
+// The agent rejoins the target world as a new player under the same id, display
+// name and avatar, and keeps its session: token, events, webhook and settings.
+// It needs a free slot there, and whatever it was saying is cut off.
+// Returns { result }, { code, error } or { limited } (see checkRateLimit).
+// ---------------------------------------------------------------------------
+async function travel(session, worldId) {
+  const agent = session.agent
+  const from = session.world
+  if (!worldId || typeof worldId !== 'string') return { code: 'INVALID_PARAMS', error: 'travel requires a world id' }
+  const target = worlds.get(worldId)
+  if (!target) return { code: 'INVALID_PARAMS', error: `Unknown world: ${worldId}` }
+  if (target === from) return { code: 'INVALID_PARAMS', error: `Already in ${target.name}` }
+  if (session.travelingTo) return { code: 'TRAVELING', error: `Already on the way to ${session.travelingTo.name}` }
+  if (agent.status !== 'connected') return { code: 'NOT_CONNECTED', error: `Agent not connected (${agent.status})` }
+  if (!canSpawnNow(target)) return { code: 'WORLD_FULL', error: `${target.name} is full (capacity ${target.capacity})` }
+  const limited = chargeCommand(session, 'travel')
+  if (limited) return { limited }
+
+  const next = new AgentConnection(agent.id, agent.name, agent.avatar)
+  next.authToken = session.hyperfyTokens.get(target.id) || null
+  trackPlayers(next, target)
+  next.onWorldChat = (chatMsg) => hearWorldChat(agent.id, next, target, chatMsg)
+  next.onKicked = agent.onKicked
+  next.onDisconnect = agent.onDisconnect
+  session.travelingTo = target
+  try {
+    await next.connect(target.url)
+  } catch (err) {
+    next.disconnect()
+    return { code: 'TRAVEL_FAILED', error: `Could not reach ${target.name}: ${err.message}` }
+  } finally {
+    session.travelingTo = null
+  }
+  // despawned or kicked while we were connecting
+  if (agentSessions.get(agent.id) !== session || session.agent !== agent) {
+    next.disconnect()
+    return { code: 'NOT_CONNECTED', error: 'Agent left before it arrived' }
+  }
+
+  const playerId = agent.getPlayerId()
+  // before disconnecting, so a stream being cut off still gets its stop packet out
+  for (const item of from.speech.cancel(agent.id)) {
+    pushEvent(session, { type: 'speech_finished', speech_id: item.id, kind: item.kind, reason: 'cancelled' })
+  }
+  from.speech.interrupt(agent.id)
+  agent.disconnect()
+  session.agent = next
+  session.world = target
+  leaveWorld(agent.id, from, playerId)
+  rememberHyperfyUser(session)
+  console.log(`Agent traveled: ${session.displayName} (${agent.id}) ${from.id} → ${target.id}`)
+  admitQueued()
+  return { result: { from: from.id, world: target.id, name: target.name, playerId: next.getPlayerId() } }
+}
+
+// ---------------------------------------------------------------------------
+// Speech queue (shared by WS, REST and plaintext)
+// Everything an agent says goes through its world's speech queue so lines never
+// overlap: one at a time per agent, or one at a time world-wide in stage mode. Each line
+// gets speech_started / speech_finished events, lines with audio also get
+// audio_started / audio_stopped. Returns the ticket the caller hands back
+// ({ speech_id, queued, queue_position, estimated_tick, estimated_start_ms })
+// or { code, error }.
+// ---------------------------------------------------------------------------
+function queueSpeech(session, kind, { text = null, estimatedMs, play, stop = null }) {
+  const muted = muteError(session)
+  if (muted) return { code: 'MUTED', error: muted }
+  const speechId = nanoid(12)
+  let done = null
+  const item = {
+    id: speechId,
+    agentId: session.agent.id,
+    kind,
+    estimatedMs,
+    ended: false,
+    start: queueDone => {
+      done = queueDone
+      if (session.agent.status !== 'connected') {
+        end('failed')
+        return
+      }
+      pushEvent(session, { type: 'speech_started', speech_id: speechId, kind, text })
+      Promise.resolve()
+        .then(() => play(item, end))
+        .catch(err => {
+          pushEvent(session, { type: 'error', code: 'AUDIO_ERROR', message: err.message })
+          end('failed')
+        })
+    },
+    stop: () => {
+      stop?.()
+      end('interrupted')
+    },
+  }
+  function end(reason = 'done') {
+    if (item.ended) return
+    item.ended = true
+    pushEvent(session, { type: 'speech_finished', speech_id: speechId, kind, reason })
+    done()
+  }
+  const ticket = session.world.speech.enqueue(item)
+  if (!ticket) {
+    return { code: 'SPEECH_QUEUE_FULL', error: `Too many lines queued (max ${MAX_QUEUED_SPEECH}), wait for speech_finished` }
+  }
+  return {
+    speech_id: speechId,
+    queued: ticket.position !== null,
+    queue_position: ticket.position,
+    estimated_tick: currentTick() + Math.ceil(ticket.estimatedStartMs / NAV_TICK_MS),
+    estimated_start_ms: ticket.estimatedStartMs,
+  }
+}
+
+// Play a PCM clip on the agent's audio stream. Returns its streamId.
+function playClip(session, pcm, format, done) {
+  const streamId = session.agent.playAudio(pcm, format, () => {
+    pushEvent(session, { type: 'audio_stopped', streamId })
+    done()
+  })
+  pushEvent(session, { type: 'audio_started', streamId })
+  return streamId
+}
+
+// Cutting a clip short is silent on the agent side, so report it here
+function stopClip(session, streamId) {
+  if (!streamId) return
+  session.agent.stopAudioStream()
+  pushEvent(session, { type: 'audio_stopped', streamId })
+}
+
+// A chat line, also said out loud with the session's voice when `tts` is set
+function queueSay(session, text, { tts = false, volume = 'normal' } = {}) {
+  const agent = session.agent
+  const estimatedMs = estimateSpeechMs(text)
+  // synthesize right away so the audio is ready when our turn comes
+  const speech = tts ? synthesizeSpeech(text, session.voice).catch(err => ({ error: err })) : null
+  let timer = null
+  let streamId = null
+  return queueSpeech(session, tts ? 'speak' : 'say', {
+    text,
+    estimatedMs,
+    play: async (item, done) => {
+      const chatMsg = agent.speak(text)
+      rememberVolume(chatMsg, volume)
+      logSpeech(session.world, session.displayName, chatMsg)
+      countMessage(session)
+      const result = speech && (await speech)
+      if (item.ended) return
+      if (!result?.pcm?.length) {
+        if (result?.error) {
+          console.error(`TTS failed for ${session.displayName}:`, result.error.message)
+          pushEvent(session, { type: 'error', code: 'TTS_FAILED', message: `Text-to-speech failed: ${result.error.message}` })
+        }
+        timer = setTimeout(done, estimatedMs)
+        return
+      }
+      const { pcm, ...format } = result
+      item.estimatedMs = pcmDurationMs(pcm.length, format)
+      streamId = playClip(session, pcm, format, done)
+    },
+    stop: () => {
+      clearTimeout(timer)
+      stopClip(session, streamId)
+    },
+  })
+}
+
+// A complete PCM clip (audio_play). Also returns { limited } when over the speech rate limit.
+function queueAudioClip(session, pcm, format) {
+  const formatError = validateAudioFormat(format)
+  if (formatError) return { code: 'AUDIO_ERROR', error: formatError }
+  const limited = chargeCommand(session, 'audio_play')
+  if (limited) return { limited }
+  let streamId = null
+  return queueSpeech(session, 'audio', {
+    estimatedMs: pcmDurationMs(pcm.length, format),
+    play: (item, done) => {
+      streamId = playClip(session, pcm, format, done)
+    },
+    stop: () => stopClip(session, streamId),
+  })
+}
+
+// A live stream (audio_start). The controller sends audio_data once it gets
+// audio_started, and the line lasts until audio_stop or STREAM_IDLE_MS of silence.
+// Like queueAudioClip it may return { limited }.
+function queueAudioStream(session, format) {
+  const formatError = validateAudioFormat(format)
+  if (formatError) return { code: 'AUDIO_ERROR', error: formatError }
+  const limited = chargeCommand(session, 'audio_start')
+  if (limited) return { limited }
+  let streamId = null
+  let watchdog = null
+  const close = () => {
+    clearInterval(watchdog)
+    session.liveStream = null
+    stopClip(session, streamId)
+  }
+  return queueSpeech(session, 'stream', {
+    estimatedMs: STREAM_ESTIMATE_MS,
+    play: (item, done) => {
+      streamId = session.agent.startAudioStream(format)
+      pushEvent(session, { type: 'audio_started', streamId })
+      let lastData = Date.now()
+      session.liveStream = {
+        touch: () => { lastData = Date.now() },
+        finish: reason => {
+          close()
+          done(reason)
+        },
+      }
+      watchdog = setInterval(() => {
+        if (Date.now() - lastData > STREAM_IDLE_MS) session.liveStream?.finish('timeout')
+      }, 1000)
+    },
+    stop: close,
+  })
+}
+
+// audio_stop: end the live stream, else drop a queued one, else cut short a clip / spoken line
+function stopAudio(session) {
+  const agentId = session.agent.id
+  if (session.liveStream) {
+    session.liveStream.finish('done')
+    return true
+  }
+  // a stream still waiting for its turn is what the stop was meant for, drop it
+  const cancelled = session.world.speech.cancel(agentId, i => i.kind === 'stream')
+  for (const item of cancelled) {
+    pushEvent(session, { type: 'speech_finished', speech_id: item.id, kind: item.kind, reason: 'cancelled' })
+  }
+  if (cancelled.length) return true
+  return session.world.speech.interrupt(agentId, i => i.kind !== 'say')
+}
+
+// ---------------------------------------------------------------------------
+// Speech moderation (see moderation.js for the rules)
+// Every line goes through it before it is queued. Blocked and masked lines
+// are reported to the agent as a `moderation` event and written to the audit log.
+// Returns { text, warning } with the text as it may be said, or { code, error }.
+// ---------------------------------------------------------------------------
+async function moderateSpeech(session, text) {
+  const verdict = await moderateText(text, { agentId: session.agent.id, name: session.displayName })
+  const reasons = verdict.results.map(r => r.reason).filter(Boolean)
+  if (verdict.action === 'block' || verdict.action === 'mask') {
+    pushEvent(session, { type: 'moderation', action: verdict.action, text, said: verdict.action === 'mask' ? verdict.text : null, rules: verdict.results })
+    recordModeration({
+      agentId: session.agent.id,
+      profileId: session.profileId,
+      name: session.displayName,
+      action: verdict.action,
+      text,
+      results: verdict.results,
+    }).catch((err) => {
+      console.error(`Failed to record moderation for ${session.agent.id}:`, err.message)
+    })
+  }
+  if (verdict.action === 'block') return { code: 'MODERATION_BLOCKED', error: `Message blocked: ${reasons.join('; ')}` }
+  const warnings = verdict.results.filter(r => r.action === 'warn').map(r => r.reason)
+  return { text: verdict.text, warning: warnings.join(' ') || null }
 }
 
 // ---------------------------------------------------------------------------
@@ -204,10 +1078,48 @@ function parseTextCommand(line) {
 
   // say <text>
   if (trimmed === 'say') {
-    return { action: 'speak', text: '' }
+    return { action: 'speak', text: '', volume: 'normal' }
   }
   if (trimmed.startsWith('say ')) {
-    return { action: 'speak', text: trimmed.slice(4) }
+    return { action: 'speak', text: trimmed.slice(4), volume: 'normal' }
+  }
+
+  // shout <text> / murmur <text> (say, heard further away / only close by)
+  const volumeMatch = trimmed.match(/^(shout|murmur)(?:\s+(.+))?$/)
+  if (volumeMatch) {
+    return { action: 'speak', text: volumeMatch[2] || '', volume: volumeMatch[1] === 'shout' ? 'shout' : 'whisper' }
+  }
+
+  // proximity [radius] [hysteresis]
+  const proximityMatch = trimmed.match(/^proximity(?:\s+(\S+))?(?:\s+(\S+))?$/)
+  if (proximityMatch) {
+    const cmd = { action: 'proximity' }
+    if (proximityMatch[1]) cmd.radius = Number(proximityMatch[1])
+    if (proximityMatch[2]) cmd.hysteresis = Number(proximityMatch[2])
+    return cmd
+  }
+
+  // hearing [all|spatial] [radius]
+  const hearingMatch = trimmed.match(/^hearing(?:\s+(\S+))?(?:\s+(\S+))?$/)
+  if (hearingMatch) {
+    const cmd = { action: 'hearing' }
+    if (hearingMatch[1]) cmd.mode = hearingMatch[1]
+    if (hearingMatch[2]) cmd.radius = Number(hearingMatch[2])
+    return cmd
+  }
+
+  // speak <text> (say, and also out loud with the agent's voice)
+  if (trimmed === 'speak') {
+    return { action: 'speak', text: '', tts: true, volume: 'normal' }
+  }
+  if (trimmed.startsWith('speak ')) {
+    return { action: 'speak', text: trimmed.slice(6), tts: true, volume: 'normal' }
+  }
+
+  // whisper @Name <text> (also "dm")
+  const whisperMatch = trimmed.match(/^(?:whisper|dm)(?:\s+(\S+))?(?:\s+(.+))?$/)
+  if (whisperMatch) {
+    return { action: 'dm', to: whisperMatch[1] || '', text: whisperMatch[2] || '' }
   }
 
   // move (bare — no direction)
@@ -261,7 +1173,27 @@ function parseTextCommand(line) {
     return { action: 'face', direction: val }
   }
 
+  // emote <name> [ms|loop]
+  if (trimmed === 'emote') return { action: 'emote_error', error: 'emote requires a name (see: emotes)' }
+  const emoteMatch = trimmed.match(/^emote\s+(\S+)(?:\s+(\S+))?$/)
+  if (emoteMatch) {
+    if (!emoteMatch[2]) return { action: 'emote', name: emoteMatch[1] }
+    if (emoteMatch[2] === 'loop') return { action: 'emote', name: emoteMatch[1], loop: true }
+    const parsed = Number(emoteMatch[2])
+    if (!Number.isInteger(parsed)) {
+      return { action: 'emote_error', error: 'Duration must be a whole number in milliseconds, or "loop"' }
+    }
+    return { action: 'emote', name: emoteMatch[1], duration: parsed }
+  }
+  if (trimmed === 'emotes') return { action: 'emotes' }
+
   if (trimmed === 'who') return { action: 'who' }
+
+  // travel <world>
+  const travelMatch = trimmed.match(/^travel(?:\s+(\S+))?$/)
+  if (travelMatch) return { action: 'travel', world: travelMatch[1] || '' }
+
+  if (trimmed === 'state') return { action: 'state' }
   if (trimmed === 'ping') return { action: 'ping' }
   if (trimmed === 'despawn') return { action: 'despawn' }
   if (trimmed === 'position' || trimmed === 'pos') return { action: 'position' }
@@ -302,11 +1234,34 @@ function parseTextCommand(line) {
   return { action: 'unknown', raw: trimmed }
 }
 
+// ---------------------------------------------------------------------------
+// Who's online (`who`): every connected agent with the world it is in, and
+// how full each world is
+// ---------------------------------------------------------------------------
+function listOnline() {
+  const agents = []
+  for (const [id, s] of agentSessions) {
+    if (s.agent.status === 'connected') {
+      const entry = { displayName: s.displayName, id, playerId: s.agent.getPlayerId(), world: s.world.id }
+      const pos = s.agent.getPosition()
+      if (pos) entry.position = pos
+      agents.push(entry)
+    }
+  }
+  return { agents, worlds: [...worlds.values()].map(describeWorld) }
+}
+
 // ---------------------------------------------------------------------------
 // Execute a parsed command against an agent session
 // ---------------------------------------------------------------------------
 const SESSION_COMMANDS = [
   'say <text>',
+  'speak <text>',
+  'shout <text>',
+  'murmur <text>',
+  'whisper @<Name> <text>',
+  'hearing [all|spatial] [radius]',
+  'proximity [radius] [hysteresis]',
   'move forward|backward|left|right|jump [ms]',
   'run forward|backward|left|right|jump [ms]',
   'face <direction|yaw|auto|@Name>',
@@ -315,13 +1270,17 @@ const SESSION_COMMANDS = [
   'nearby [radius]',
   'goto <x> <z> [run]',
   'goto @<Name> [run]',
+  'emote <name> [ms|loop]',
+  'emotes',
   'stop',
   'who',
+  'travel <world>',
+  'state',
   'ping',
   'despawn',
 ]
 
-function executeCommand(session, cmd) {
+async function executeCommand(session, cmd) {
   const agent = session.agent
 
   switch (cmd.action) {
@@ -329,12 +1288,36 @@ function executeCommand(session, cmd) {
       if (!cmd.text) return { ok: false, error: 'say requires text' }
       if (cmd.text.length > MAX_CHAT_LENGTH) return { ok: false, error: `Message too long (max ${MAX_CHAT_LENGTH} characters)` }
       if (agent.status !== 'connected') return { ok: false, error: `Agent not connected (${agent.status})` }
-      const warning = validateSpeakText(cmd.text)
-      agent.speak(cmd.text)
-      const result = { ok: true, action: 'say' }
+      const limited = chargeCommand(session, 'speak')
+      if (limited) return { ok: false, ...limited }
+      const { text, warning, error } = await moderateSpeech(session, cmd.text)
+      if (error) return { ok: false, error }
+      const ticket = queueSay(session, text, { tts: cmd.tts, volume: cmd.volume })
+      if (ticket.error) return { ok: false, error: ticket.error }
+      const result = { ok: true, action: cmd.tts ? 'speak' : 'say', ...ticket }
+      if (text !== cmd.text) result.text = text
+      if (cmd.volume !== 'normal') result.volume = cmd.volume
+      if (cmd.tts) result.voice = session.voice
       if (warning) result.warning = warning
       return result
     }
+    case 'hearing': {
+      const { result, error } = setHearing(session, cmd)
+      if (error) return { ok: false, error }
+      return { ok: true, action: 'hearing', ...result }
+    }
+    case 'proximity': {
+      const { result, error } = setProximity(session, cmd)
+      if (error) return { ok: false, error }
+      return { ok: true, action: 'proximity', ...result }
+    }
+    case 'dm': {
+      if (agent.status !== 'connected') return { ok: false, error: `Agent not connected (${agent.status})` }
+      const { result, error, limited } = sendDirectMessage(session, cmd.to, cmd.text)
+      if (limited) return { ok: false, ...limited }
+      if (error) return { ok: false, error }
+      return { ok: true, action: 'whisper', ...result }
+    }
     case 'move_error': {
       return { ok: false, error: cmd.error }
     }
@@ -343,6 +1326,9 @@ function executeCommand(session, cmd) {
       if (agent.status !== 'connected') return { ok: false, error: `Agent not connected (${agent.status})` }
       if (cmd.duration <= 0) return { ok: false, error: 'Duration must be positive (1-10000ms)' }
       if (cmd.duration > 10000) return { ok: false, error: 'Duration cannot exceed 10000ms' }
+      if (!MOVE_DIRECTIONS.includes(cmd.direction)) return { ok: false, error: `Invalid direction: ${cmd.direction}` }
+      const limited = chargeCommand(session, 'move')
+      if (limited) return { ok: false, ...limited }
       try {
         agent.move(cmd.direction, cmd.duration, !!cmd.run)
       } catch (err) {
@@ -362,7 +1348,7 @@ function executeCommand(session, cmd) {
           return { ok: true, action: 'face', yaw: cmd.yaw }
         } else if (typeof cmd.direction === 'string' && cmd.direction.startsWith('@')) {
           // face @Name — look up target agent and compute yaw
-          const resolved = resolveAgentByName(cmd.direction)
+          const resolved = resolveAgentByName(cmd.direction, session.world)
           if (!resolved) return { ok: false, error: `Agent not found: ${cmd.direction}` }
           const myPos = agent.getPosition()
           const theirPos = resolved.session.agent.getPosition()
@@ -381,16 +1367,19 @@ function executeCommand(session, cmd) {
       }
     }
     case 'who': {
-      const agents = []
-      for (const [id, s] of agentSessions) {
-        if (s.agent.status === 'connected') {
-          const entry = { displayName: s.displayName, id, playerId: s.agent.getPlayerId() }
-          const pos = s.agent.getPosition()
-          if (pos) entry.position = pos
-          agents.push(entry)
-        }
-      }
-      return { ok: true, action: 'who', agents }
+      return { ok: true, action: 'who', ...listOnline() }
+    }
+    case 'travel': {
+      const { result, error, limited } = await travel(session, cmd.world)
+      if (limited) return { ok: false, ...limited }
+      if (error) return { ok: false, error }
+      return { ok: true, action: 'travel', ...result }
+    }
+    case 'state': {
+      if (agent.status !== 'connected') return { ok: false, error: `Agent not connected (${agent.status})` }
+      const limited = chargeCommand(session, 'state')
+      if (limited) return { ok: false, ...limited }
+      return { ok: true, action: 'state', ...buildWorldState(agent.id, session) }
     }
     case 'ping': {
       return { ok: true, action: 'pong', agentStatus: agent.status }
@@ -410,27 +1399,7 @@ function executeCommand(session, cmd) {
       const myPos = agent.getPosition()
       if (!myPos) return { ok: false, error: 'Position not available' }
       const radius = cmd.radius || 10
-      const nearby = []
-      for (const [id, s] of agentSessions) {
-        if (id === session.agent.id) continue
-        if (s.agent.status !== 'connected') continue
-        const theirPos = s.agent.getPosition()
-        if (!theirPos) continue
-        const dx = theirPos.x - myPos.x
-        const dz = theirPos.z - myPos.z
-        const dist = Math.sqrt(dx * dx + dz * dz)
-        if (dist <= radius) {
-          nearby.push({
-            displayName: s.displayName,
-            id,
-            playerId: s.agent.getPlayerId(),
-            position: theirPos,
-            distance: round2(dist),
-          })
-        }
-      }
-      nearby.sort((a, b) => a.distance - b.distance)
-      return { ok: true, action: 'nearby', radius, agents: nearby }
+      return { ok: true, action: 'nearby', radius, agents: findNearby(session, radius) }
     }
     case 'goto_error': {
       return { ok: false, error: cmd.error }
@@ -440,11 +1409,11 @@ function executeCommand(session, cmd) {
       const myPos = agent.getPosition()
       if (!myPos) return { ok: false, error: 'Position not available' }
 
-      let navX, navZ, targetName = null, getTargetPos = null
+      let navX, navZ, navY = null, targetName = null, getTargetPos = null
 
       if (cmd.target) {
         // Navigate to agent by name
-        const resolved = resolveAgentByName(cmd.target)
+        const resolved = resolveAgentByName(cmd.target, session.world)
         if (!resolved) return { ok: false, error: `Agent not found: ${cmd.target}` }
         targetName = resolved.session.displayName
         const targetId = resolved.id
@@ -452,6 +1421,7 @@ function executeCommand(session, cmd) {
         if (!theirPos) return { ok: false, error: `Cannot get position of ${targetName}` }
         navX = theirPos.x
         navZ = theirPos.z
+        navY = theirPos.y
         // Track moving target
         getTargetPos = () => {
           const s = agentSessions.get(targetId)
@@ -467,10 +1437,20 @@ function executeCommand(session, cmd) {
       const dz = navZ - myPos.z
       const startDistance = round2(Math.sqrt(dx * dx + dz * dz))
 
+      const limited = chargeCommand(session, 'goto')
+      if (limited) return { ok: false, ...limited }
+      let plan
+      try {
+        plan = await agent.planPath(navX, navZ, navY)
+      } catch (err) {
+        return { ok: false, error: `Path planning failed: ${err.message}` }
+      }
+      if (!plan) return { ok: false, error: `No path to ${targetName || `${navX} ${navZ}`}` }
+
       // Start navigation asynchronously
       const agentId = session.agent.id
       const navRun = !!cmd.run
-      agent.navigateTo(navX, navZ, { getTargetPos, run: navRun }).then((result) => {
+      agent.navigateTo(navX, navZ, { getTargetPos, run: navRun, plan }).then((result) => {
         const s = agentSessions.get(agentId)
         if (!s) return
         const event = {
@@ -485,7 +1465,7 @@ function executeCommand(session, cmd) {
         pushEvent(s, event)
       })
 
-      const startEvent = { type: 'navigate', status: 'started', distance: startDistance }
+      const startEvent = { type: 'navigate', status: 'started', distance: startDistance, ...describePlan(agent, plan, navRun) }
       if (targetName) {
         startEvent.target = targetName
       } else {
@@ -499,6 +1479,18 @@ function executeCommand(session, cmd) {
       agent.cancelNavigation()
       return { ok: true, action: 'stop' }
     }
+    case 'emote_error': {
+      return { ok: false, error: cmd.error }
+    }
+    case 'emote': {
+      if (agent.status !== 'connected') return { ok: false, error: `Agent not connected (${agent.status})` }
+      const { result, error } = playEmote(agent, cmd.name, { duration: cmd.duration ?? null, loop: cmd.loop })
+      if (error) return { ok: false, error }
+      return { ok: true, action: 'emote', ...result }
+    }
+    case 'emotes': {
+      return { ok: true, action: 'emotes', emotes: emoteLibrary.map(e => e.id) }
+    }
     case 'despawn': {
       return { ok: true, action: 'despawn', _despawn: true }
     }
@@ -509,17 +1501,61 @@ function executeCommand(session, cmd) {
   }
 }
 
-function sendJson(res, status, data) {
-  const body = JSON.stringify(data)
-  res.writeHead(status, {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  })
+// Polling a session URL while still queued: report the position, or leave the queue on despawn
+async function handleQueuedPoll(req, res, entry) {
+  entry.lastPoll = Date.now()
+  let commands = []
+  if (req.method === 'POST') {
+    let body
+    try {
+      body = await readTextBody(req)
+    } catch (err) {
+      sendJson(res, 400, { ok: false, error: err.message })
+      return
+    }
+    commands = body.split('\n').map(parseTextCommand).filter(Boolean)
+  }
+  if (commands.some(cmd => cmd.action === 'despawn')) {
+    spawnQueue.remove(entry.id)
+    notifyQueuePositions()
+    console.log(`HTTP agent left queue: ${entry.displayName} (${entry.id})`)
+    sendJson(res, 200, { ok: true, action: 'despawn', status: 'left_queue' })
+    return
+  }
+  const response = {
+    ok: commands.length === 0,
+    status: 'queued',
+    ...getQueueStatus(entry.id),
+    events: [],
+    commands: ['despawn'],
+  }
+  if (commands.length) response.error = 'Waiting for a free slot, commands are accepted once you are admitted'
+  sendJson(res, 200, response)
+}
+
+function sendRateLimited(res, limited, extra = {}) {
+  res.setHeader('Retry-After', String(limited.retryAfter))
+  sendJson(res, 429, { ...extra, ...limited })
+}
+
+function sendJson(res, status, data) {
+  const body = JSON.stringify(data)
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  })
   res.end(body)
 }
 
+function getApiKey(req) {
+  const auth = req.headers['authorization']
+  if (!auth || !auth.startsWith('Bearer ')) return null
+  const key = auth.slice(7)
+  return isApiKey(key) ? key : null
+}
+
 function authenticate(req) {
   const auth = req.headers['authorization']
   if (!auth || !auth.startsWith('Bearer ')) return null
@@ -559,6 +1595,119 @@ async function resolveAndProxyAvatar(avatarRef) {
   return { url: resolvedAvatar, warning }
 }
 
+// Validates the editable profile fields shared by register and PATCH /me. Returns an error message or null.
+function validateProfileFields({ description, avatar, voice }) {
+  if (description !== undefined) {
+    if (typeof description !== 'string') return 'description must be a string'
+    if (description.length > MAX_DESCRIPTION_LENGTH) return `Description too long (max ${MAX_DESCRIPTION_LENGTH} characters)`
+  }
+  if (avatar !== undefined && avatar !== null) {
+    if (typeof avatar !== 'string' || !resolveAvatarRef(avatar)) return `Unknown avatar reference: ${avatar}`
+  }
+  if (voice !== undefined && voice !== null && !isVoice(voice)) return `Unknown voice: ${voice}`
+  return null
+}
+
+// Validates a spawn's { url, events?, secret? } webhook. Returns an error message or null.
+// Whether the URL's host is public is up to checkWebhookHost, which needs a DNS lookup.
+function validateWebhook(webhook) {
+  if (!webhook || typeof webhook !== 'object') return 'webhook must be an object { url, events?, secret? }'
+  let url
+  try {
+    url = new URL(webhook.url)
+  } catch {
+    return 'webhook.url must be an absolute http(s) URL'
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'webhook.url must be an absolute http(s) URL'
+  if (webhook.events !== undefined && webhook.events !== null) {
+    if (!Array.isArray(webhook.events) || !webhook.events.length || !webhook.events.every(t => typeof t === 'string')) {
+      return 'webhook.events must be a non-empty array of event types'
+    }
+  }
+  if (webhook.secret !== undefined && (typeof webhook.secret !== 'string' || webhook.secret.length < 16)) {
+    return 'webhook.secret must be a string of at least 16 characters'
+  }
+  return null
+}
+
+// Voice for a new session: the requested one, else the profile's, else one derived from the name.
+// Returns null if the requested voice doesn't exist.
+function resolveVoice(requested, profile, name) {
+  if (requested !== undefined && requested !== null) return isVoice(requested) ? requested : null
+  return profile?.voice || defaultVoiceFor(name)
+}
+
+// ---------------------------------------------------------------------------
+// Event polling (GET/POST /s/<token> and GET /api/agents/:id/events)
+// With ?cursor= the client acks up to that cursor itself and keeps getting the
+// events after it until it moves on. Without one, whatever a poll hands out
+// counts as acked once the response has been written.
+// ---------------------------------------------------------------------------
+function parseCursor(value) {
+  if (value === null || value === undefined) return null
+  const cursor = Number(value)
+  return Number.isSafeInteger(cursor) && cursor >= 0 ? cursor : NaN
+}
+
+function pollEvents(session, res, cursor, sinceMs = 0) {
+  const buffer = session.eventBuffer
+  if (!buffer) return { events: [], nextCursor: null, dropped: 0 }
+  if (cursor !== null) {
+    buffer.ack(cursor)
+    return buffer.read(cursor, sinceMs)
+  }
+  const result = buffer.read(undefined, sinceMs)
+  res.on('finish', () => buffer.ack(result.nextCursor))
+  return result
+}
+
+// ---------------------------------------------------------------------------
+// Server-Sent Events (GET /api/agents/:id/stream and /s/<token>/stream)
+// Push delivery for HTTP agents that can't hold a WebSocket. A session has at
+// most one stream, opening another replaces it. The SSE id of each event is
+// its cursor, so a reconnecting client resumes with Last-Event-ID (or
+// ?last_event_id=) and gets what it missed. Streamed events count as acked.
+// ---------------------------------------------------------------------------
+function openEventStream(req, res, session, lastEventId) {
+  session.eventStream?.close()
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'X-Accel-Buffering': 'no',
+  })
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`)
+
+  const write = event => {
+    res.write(`id: ${event.seq}\ndata: ${JSON.stringify(event)}\n\n`)
+  }
+  const buffer = session.eventBuffer
+  const lastSeq = parseCursor(lastEventId)
+  const backlog = buffer.read(Number.isInteger(lastSeq) ? lastSeq : undefined)
+  if (backlog.dropped) {
+    res.write(`data: ${JSON.stringify({ type: 'events_dropped', count: backlog.dropped })}\n\n`)
+  }
+  backlog.events.forEach(write)
+  buffer.ack(backlog.nextCursor)
+  const unsubscribe = buffer.subscribe(write)
+  const heartbeat = setInterval(() => {
+    // an open stream counts as activity, unless the agent is gone and only the stream is left
+    if (session.agent.status === 'connected') session.lastActivity = Date.now()
+    res.write(': ping\n\n')
+  }, SSE_HEARTBEAT_MS)
+
+  const stream = {
+    close: () => res.end(),
+  }
+  session.eventStream = stream
+  res.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+    if (session.eventStream === stream) session.eventStream = null
+  })
+}
+
 // ---------------------------------------------------------------------------
 // HTTP route handler
 // ---------------------------------------------------------------------------
@@ -567,8 +1716,8 @@ async function handleHttpRequest(req, res) {
   if (req.method === 'OPTIONS') {
     res.writeHead(204, {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID',
       'Access-Control-Max-Age': '86400',
     })
     res.end()
@@ -582,7 +1731,55 @@ async function handleHttpRequest(req, res) {
   try {
     // ---- Health check ----
     if (method === 'GET' && path === '/health') {
-      sendJson(res, 200, { status: 'ok', agents: agentSessions.size, maxAgents: MAX_AGENTS })
+      const { max_capacity: maxAgents, worlds: occupancy } = getWorldStatus()
+      sendJson(res, 200, { status: 'ok', agents: agentSessions.size, maxAgents, worlds: occupancy })
+      return
+    }
+
+    // ---- List worlds ----
+    if (method === 'GET' && path === '/api/worlds') {
+      sendJson(res, 200, { worlds: [...worlds.values()].map(describeWorld), default: defaultWorld.id })
+      return
+    }
+
+    // ---- World capacity status ----
+    if (method === 'GET' && path === '/api/world/status') {
+      const status = getWorldStatus()
+      // With a session token the caller also learns where it stands
+      const auth = req.headers['authorization']
+      const token = auth && auth.startsWith('Bearer ') ? auth.slice(7) : null
+      const queued = token && spawnQueue.findByToken(token)
+      if (queued) {
+        queued.lastPoll = Date.now()
+        Object.assign(status, { your_status: 'queued', ...getQueueStatus(queued.id) })
+      } else if (token && tokenIndex.has(token)) {
+        Object.assign(status, { your_status: 'active', queue_position: null })
+      }
+      sendJson(res, 200, status)
+      return
+    }
+
+    // ---- Session event stream: /s/<token>/stream ----
+    const streamMatch = path.match(/^\/s\/([^/]+)\/stream$/)
+    if (streamMatch && method === 'GET') {
+      const token = streamMatch[1]
+      const session = agentSessions.get(tokenIndex.get(token))
+      if (!session) {
+        const waiting = spawnQueue.findByToken(token) || [...admitting.values()].some(e => e.token === token)
+        if (waiting) {
+          sendJson(res, 409, { ok: false, error: 'Agent not in the world yet, poll the session URL until it is admitted' })
+        } else {
+          sendJson(res, 401, { ok: false, error: 'Invalid session token' })
+        }
+        return
+      }
+      const limited = checkRateLimit(session, ['api', 'poll'])
+      if (limited) {
+        sendRateLimited(res, limited, { ok: false })
+        return
+      }
+      session.lastActivity = Date.now()
+      openEventStream(req, res, session, req.headers['last-event-id'] ?? parsed.searchParams.get('last_event_id'))
       return
     }
 
@@ -592,6 +1789,24 @@ async function handleHttpRequest(req, res) {
       const token = sessionMatch[1]
       const agentId = tokenIndex.get(token)
       if (!agentId) {
+        const queued = spawnQueue.findByToken(token)
+        if (queued) {
+          await handleQueuedPoll(req, res, queued)
+          return
+        }
+        // admitted from the queue, still connecting to the world
+        for (const entry of admitting.values()) {
+          if (entry.token === token) {
+            sendJson(res, 200, { ok: true, status: 'admitting', events: [] })
+            return
+          }
+        }
+        const failed = failedSpawns.get(token)
+        if (failed) {
+          failedSpawns.delete(token)
+          sendJson(res, 500, { ok: false, error: `Spawn failed: ${failed.message}` })
+          return
+        }
         sendJson(res, 401, { ok: false, error: 'Invalid session token' })
         return
       }
@@ -602,10 +1817,17 @@ async function handleHttpRequest(req, res) {
       }
       session.lastActivity = Date.now()
 
+      const cursor = parseCursor(parsed.searchParams.get('cursor'))
+      if (Number.isNaN(cursor)) {
+        sendJson(res, 400, { ok: false, error: 'cursor must be a non-negative integer' })
+        return
+      }
+
       let results = []
       let shouldDespawn = false
 
       // POST with body → parse plaintext commands
+      let commands = []
       if (method === 'POST') {
         let body
         try {
@@ -614,32 +1836,38 @@ async function handleHttpRequest(req, res) {
           sendJson(res, 400, { ok: false, error: err.message })
           return
         }
-        if (body) {
-          const lines = body.split('\n')
-          for (const line of lines) {
-            const cmd = parseTextCommand(line)
-            if (!cmd) continue
-            const result = executeCommand(session, cmd)
-            results.push(result)
-            if (result._despawn) {
-              shouldDespawn = true
-              delete result._despawn
-              break
-            }
-            delete result._despawn
-          }
+        if (body) commands = body.split('\n').map(parseTextCommand).filter(Boolean)
+      }
+
+      // A request without commands is just checking for events
+      const limited = checkRateLimit(session, commands.length ? ['api'] : ['api', 'poll'])
+      if (limited) {
+        sendRateLimited(res, limited, { ok: false })
+        return
+      }
+
+      for (const cmd of commands) {
+        const result = await executeCommand(session, cmd)
+        results.push(result)
+        if (result._despawn) {
+          shouldDespawn = true
+          delete result._despawn
+          break
         }
+        delete result._despawn
       }
 
-      // Drain events
-      const events = session.eventBuffer ? session.eventBuffer.drainSince(0) : []
+      const { events, nextCursor, dropped } = pollEvents(session, res, cursor)
 
       // Build response
       const response = {
         ok: results.length === 0 || results.every(r => r.ok),
         events,
+        nextCursor,
+        dropped,
         commands: SESSION_COMMANDS,
       }
+      if (session.webhook) response.webhook = session.webhook.status()
       if (results.length === 1) {
         Object.assign(response, results[0])
       } else if (results.length > 1) {
@@ -661,6 +1889,18 @@ async function handleHttpRequest(req, res) {
       return
     }
 
+    // ---- List emotes ----
+    if (method === 'GET' && path === '/api/emotes') {
+      sendJson(res, 200, { emotes: emoteLibrary })
+      return
+    }
+
+    // ---- List voices ----
+    if (method === 'GET' && path === '/api/voices') {
+      sendJson(res, 200, { voices: listVoices() })
+      return
+    }
+
     // ---- Spawn (HTTP) ----
     if (method === 'POST' && path === '/api/spawn') {
       let body
@@ -670,12 +1910,33 @@ async function handleHttpRequest(req, res) {
         sendJson(res, 400, { error: 'INVALID_JSON', message: err.message })
         return
       }
-      const { name, avatar } = body
-      const nameError = validateName(name)
-      if (nameError) {
-        sendJson(res, 400, { error: 'INVALID_PARAMS', message: nameError })
+      const identity = await resolveSpawnIdentity(getApiKey(req), body.name)
+      if (identity.code) {
+        sendJson(res, identity.status, { error: identity.code, message: identity.message })
+        return
+      }
+      const { profile, name } = identity
+      const avatar = body.avatar ?? profile?.avatar
+      const voice = resolveVoice(body.voice, profile, name)
+      if (!voice) {
+        sendJson(res, 400, { error: 'INVALID_PARAMS', message: `Unknown voice: ${body.voice}. See GET /api/voices` })
+        return
+      }
+      const world = resolveWorld(body.world)
+      if (!world) {
+        sendJson(res, 400, { error: 'INVALID_PARAMS', message: `Unknown world: ${body.world}. See GET /api/worlds` })
+        return
+      }
+      const webhookError = body.webhook !== undefined && (validateWebhook(body.webhook) || (await checkWebhookHost(body.webhook.url)))
+      if (webhookError) {
+        sendJson(res, 400, { error: 'INVALID_PARAMS', message: webhookError })
         return
       }
+      const webhook = body.webhook && {
+        url: body.webhook.url,
+        events: body.webhook.events || null,
+        secret: body.webhook.secret || `lobby_whsec_${nanoid(32)}`,
+      }
 
       let resolvedAvatar, avatarWarning
       try {
@@ -687,80 +1948,223 @@ async function handleHttpRequest(req, res) {
         return
       }
 
-      if (agentSessions.size >= MAX_AGENTS) {
-        sendJson(res, 503, { error: 'AGENT_LIMIT', message: `Server agent limit reached (${MAX_AGENTS})` })
-        return
-      }
-
       const id = nanoid(12)
       const token = nanoid(32)
-      const agent = new AgentConnection(id, name, resolvedAvatar)
-      const eventBuffer = new EventBuffer()
-      const displayName = resolveDisplayName(name, id)
-
-      // Wire callbacks to push into event buffer
-      agent.onWorldChat = (chatMsg) => {
-        const playerId = agent.getPlayerId()
-        if (chatMsg.fromId === playerId) return
-        eventBuffer.push({
-          type: 'chat',
-          from: resolveFromName(chatMsg.fromId, chatMsg.from),
-          fromId: chatMsg.fromId,
-          body: chatMsg.body,
-          id: chatMsg.id,
-          createdAt: chatMsg.createdAt,
-        })
-      }
+      const sessionUrl = `http://${req.headers.host || `localhost:${PORT}`}/s/${token}`
+
+      const entry = {
+        id,
+        world,
+        transport: 'http',
+        token,
+        ws: null,
+        profileId: profile?.id || null,
+        displayName: name,
+        enqueuedAt: Date.now(),
+        lastPoll: Date.now(),
+        admit: async () => {
+          const agent = new AgentConnection(id, name, resolvedAvatar)
+          const hyperfyTokens = initialHyperfyTokens(profile)
+          agent.authToken = hyperfyTokens.get(world.id) || null
+          const eventBuffer = new EventBuffer()
+          const displayName = resolveDisplayName(name, id, { registered: !!profile, reserved: identity.reserved })
+
+          // Wire callbacks to push into the event buffer (and webhook)
+          trackPlayers(agent, world)
+          agent.onWorldChat = (chatMsg) => hearWorldChat(id, agent, world, chatMsg)
+
+          agent.onKicked = (code) => {
+            const session = agentSessions.get(id)
+            if (session) pushEvent(session, { type: 'kicked', code })
+            // Don't destroy immediately — let the agent poll this event
+          }
+
+          agent.onDisconnect = () => {
+            const session = agentSessions.get(id)
+            if (session) pushEvent(session, { type: 'disconnected' })
+          }
 
-      agent.onKick = (code) => {
-        eventBuffer.push({ type: 'kicked', code })
-        // Don't destroy immediately — let the agent poll this event
+          await agent.connect(world.url)
+
+          // Register session
+          const session = {
+            agent,
+            world,
+            transport: 'http',
+            token,
+            ws: null,
+            eventBuffer,
+            webhook: webhook && new Webhook({ ...webhook, agentId: id }),
+            lastActivity: Date.now(),
+            displayName,
+            profileId: profile?.id || null,
+            joinedAt: Date.now(),
+            voice,
+            hearing: { mode: 'all', radius: HEARING_RADIUS },
+            proximity: { radius: PROXIMITY_RADIUS, hysteresis: PROXIMITY_HYSTERESIS },
+            mute: null,
+            hyperfyTokens,
+            travelingTo: null,
+          }
+          agentSessions.set(id, session)
+          tokenIndex.set(token, id)
+          rememberHyperfyUser(session)
+
+          console.log(`HTTP agent spawned: ${name} (${id}) displayName=${displayName} world=${world.id}`)
+          return session
+        },
       }
 
-      agent.onDisconnect = () => {
-        eventBuffer.push({ type: 'disconnected' })
+      // At capacity: hand out the token now, the agent polls its session URL until admitted
+      if (!canSpawnNow(world)) {
+        spawnQueue.push(entry)
+        console.log(`HTTP agent queued: ${name} (${id}) world=${world.id} position=${spawnQueue.position(id)}`)
+        const queuedResponse = {
+          status: 'queued',
+          id,
+          token,
+          session: sessionUrl,
+          name,
+          ...getQueueStatus(id),
+        }
+        if (webhook) queuedResponse.webhook = webhook
+        if (avatarWarning) queuedResponse.warning = avatarWarning
+        sendJson(res, 202, queuedResponse)
+        return
       }
 
+      let session
       try {
-        await agent.connect(HYPERFY_WS_URL)
+        session = await admit(entry)
       } catch (err) {
         sendJson(res, 500, { error: 'SPAWN_FAILED', message: err.message })
         return
       }
 
-      // Register session
-      const session = {
-        agent,
-        transport: 'http',
-        token,
-        ws: null,
-        eventBuffer,
-        lastActivity: Date.now(),
-        displayName,
-      }
-      agentSessions.set(id, session)
-      tokenIndex.set(token, id)
-
-      console.log(`HTTP agent spawned: ${name} (${id}) displayName=${displayName}`)
       const spawnResponse = {
+        status: 'active',
         id,
         token,
-        session: `http://${req.headers.host || `localhost:${PORT}`}/s/${token}`,
-        name: agent.name,
-        displayName,
-        avatar: agent.avatar,
+        session: sessionUrl,
+        name: session.agent.name,
+        displayName: session.displayName,
+        avatar: session.agent.avatar,
+        voice: session.voice,
+        world: world.id,
       }
+      // the only time the secret is shown, unless the caller picked it
+      if (webhook) spawnResponse.webhook = webhook
       if (avatarWarning) spawnResponse.warning = avatarWarning
       sendJson(res, 201, spawnResponse)
       return
     }
 
+    // ---- Register a persistent identity ----
+    if (method === 'POST' && path === '/api/v1/agents/register') {
+      let body
+      try {
+        body = await readBody(req)
+      } catch (err) {
+        sendJson(res, 400, { error: 'INVALID_JSON', message: err.message })
+        return
+      }
+      const { name, description = '', avatar, voice } = body
+      const nameError = validateName(name) || validateProfileFields({ description, avatar, voice })
+      if (nameError) {
+        sendJson(res, 400, { error: 'INVALID_PARAMS', message: nameError })
+        return
+      }
+      const registered = await registerProfile({ name, description, avatar: avatar || randomAvatarRef(), voice })
+      if (!registered) {
+        sendJson(res, 409, { error: 'NAME_TAKEN', message: `The name ${name} is already registered` })
+        return
+      }
+      console.log(`Agent registered: ${name} (${registered.profile.id})`)
+      sendJson(res, 201, {
+        agent: { id: registered.profile.id, name, api_key: registered.apiKey },
+        avatar_assigned: registered.profile.avatar,
+        voice_assigned: registered.profile.voice,
+        important: 'Save your API key! It is only shown once. Spawn with Authorization: Bearer <api_key> to use this identity.',
+      })
+      return
+    }
+
+    // ---- Own profile ----
+    if ((method === 'GET' || method === 'PATCH') && path === '/api/v1/agents/me') {
+      const profile = await getProfileByApiKey(getApiKey(req))
+      if (!profile) {
+        sendJson(res, 401, { error: 'UNAUTHORIZED', message: 'Invalid or missing API key' })
+        return
+      }
+      if (method === 'GET') {
+        sendJson(res, 200, serializeProfile(profile, { onlineSince: findSessionByProfile(profile.id)?.session.joinedAt }))
+        return
+      }
+      let body
+      try {
+        body = await readBody(req)
+      } catch (err) {
+        sendJson(res, 400, { error: 'INVALID_JSON', message: err.message })
+        return
+      }
+      const changes = {}
+      if (body.description !== undefined) changes.description = body.description
+      if (body.avatar !== undefined) changes.avatar = body.avatar
+      if (body.voice !== undefined) changes.voice = body.voice
+      if (body.name !== undefined && body.name !== profile.name) {
+        sendJson(res, 400, { error: 'INVALID_PARAMS', message: 'Registered names cannot be changed' })
+        return
+      }
+      const fieldError = validateProfileFields(changes)
+      if (fieldError) {
+        sendJson(res, 400, { error: 'INVALID_PARAMS', message: fieldError })
+        return
+      }
+      const updated = Object.keys(changes).length ? await updateProfile(profile.id, changes) : profile
+      // a live session picks up the new voice on its next spoken line
+      const live = findSessionByProfile(profile.id)
+      if (live && changes.voice !== undefined) live.session.voice = resolveVoice(null, updated, updated.name)
+      sendJson(res, 200, serializeProfile(updated, { onlineSince: findSessionByProfile(profile.id)?.session.joinedAt }))
+      return
+    }
+
+    // ---- Public profile lookup ----
+    if (method === 'GET' && path === '/api/v1/agents/profile') {
+      const name = parsed.searchParams.get('name')
+      if (!name) {
+        sendJson(res, 400, { error: 'INVALID_PARAMS', message: 'profile requires ?name=' })
+        return
+      }
+      const profile = await getProfileByName(name.startsWith('@') ? name.slice(1) : name)
+      if (!profile) {
+        sendJson(res, 404, { error: 'NOT_FOUND', message: `No registered agent named ${name}` })
+        return
+      }
+      sendJson(res, 200, serializeProfile(profile, { isPublic: true, onlineSince: findSessionByProfile(profile.id)?.session.joinedAt }))
+      return
+    }
+
+    // ---- Admin API ----
+    if (path.startsWith('/api/admin/')) {
+      await handleAdminRequest(req, res, path, method)
+      return
+    }
+
     // ---- Routes requiring :id param ----
     const agentRouteMatch = path.match(/^\/api\/agents\/([^/]+)(\/\w+)?$/)
     if (agentRouteMatch) {
       const agentId = agentRouteMatch[1]
       const action = agentRouteMatch[2] ? agentRouteMatch[2].slice(1) : null
 
+      // Still queued: only the state snapshot makes sense, and it just reports the queue position
+      const auth = req.headers['authorization']
+      const queued = auth && auth.startsWith('Bearer ') ? spawnQueue.findByToken(auth.slice(7)) : null
+      if (queued && queued.id === agentId && method === 'GET' && action === 'state') {
+        queued.lastPoll = Date.now()
+        sendJson(res, 200, buildQueuedState(agentId))
+        return
+      }
+
       // All agent routes require auth
       const session = authenticate(req)
       if (!session) {
@@ -782,22 +2186,68 @@ async function handleHttpRequest(req, res) {
         return
       }
 
+      const polling = !action || action === 'events' || action === 'stream'
+      const limited = checkRateLimit(session, polling ? ['api', 'poll'] : ['api'])
+      if (limited) {
+        sendRateLimited(res, limited)
+        return
+      }
+
+      // ---- GET /api/agents/:id (session status) ----
+      if (method === 'GET' && !action) {
+        const status = {
+          id: agentId,
+          name: agent.name,
+          displayName: session.displayName,
+          agentStatus: agent.status,
+          world: session.world.id,
+          joinedAt: new Date(session.joinedAt).toISOString(),
+          pendingEvents: session.eventBuffer ? session.eventBuffer.length : 0,
+          streaming: !!session.eventStream,
+          webhook: session.webhook ? session.webhook.status() : null,
+        }
+        sendJson(res, 200, status)
+        return
+      }
+
       // Ensure agent is connected for action endpoints
-      if (agent.status !== 'connected' && action !== 'events') {
+      if (agent.status !== 'connected' && action !== 'events' && action !== 'stream') {
         sendJson(res, 409, { error: 'NOT_CONNECTED', message: `Agent is not connected (status: ${agent.status})` })
         return
       }
 
       // ---- GET /api/agents/:id/events ----
       if (method === 'GET' && action === 'events') {
+        const cursor = parseCursor(parsed.searchParams.get('cursor'))
+        if (Number.isNaN(cursor)) {
+          sendJson(res, 400, { error: 'INVALID_PARAMS', message: 'cursor must be a non-negative integer' })
+          return
+        }
         const since = parsed.searchParams.get('since')
         let sinceMs = 0
         if (since) {
           const parsed_ts = Number(since) || Date.parse(since)
           if (!isNaN(parsed_ts)) sinceMs = parsed_ts
         }
-        const events = session.eventBuffer ? session.eventBuffer.drainSince(sinceMs) : []
-        sendJson(res, 200, { events, agentStatus: agent.status })
+        const { events, nextCursor, dropped } = pollEvents(session, res, cursor, sinceMs)
+        sendJson(res, 200, { events, nextCursor, dropped, agentStatus: agent.status })
+        return
+      }
+
+      // ---- GET /api/agents/:id/stream ----
+      if (method === 'GET' && action === 'stream') {
+        openEventStream(req, res, session, req.headers['last-event-id'] ?? parsed.searchParams.get('last_event_id'))
+        return
+      }
+
+      // ---- GET /api/agents/:id/state ----
+      if (method === 'GET' && action === 'state') {
+        const limited = chargeCommand(session, 'state')
+        if (limited) {
+          sendRateLimited(res, limited)
+          return
+        }
+        sendJson(res, 200, buildWorldState(agentId, session))
         return
       }
 
@@ -810,18 +2260,38 @@ async function handleHttpRequest(req, res) {
           sendJson(res, 400, { error: 'INVALID_JSON', message: err.message })
           return
         }
-        const { text } = body
+        const { text, tts, volume = 'normal' } = body
         if (!text || typeof text !== 'string') {
           sendJson(res, 400, { error: 'INVALID_PARAMS', message: 'speak requires { text: string }' })
           return
         }
+        if (!VOLUMES.includes(volume)) {
+          sendJson(res, 400, { error: 'INVALID_PARAMS', message: `volume must be one of: ${VOLUMES.join(', ')}` })
+          return
+        }
         if (text.length > MAX_CHAT_LENGTH) {
           sendJson(res, 400, { error: 'INVALID_PARAMS', message: `Message too long (max ${MAX_CHAT_LENGTH} characters)` })
           return
         }
-        const warning = validateSpeakText(text)
-        agent.speak(text)
-        const response = { status: 'sent' }
+        const limited = chargeCommand(session, 'speak')
+        if (limited) {
+          sendRateLimited(res, limited)
+          return
+        }
+        const moderated = await moderateSpeech(session, text)
+        if (moderated.error) {
+          sendJson(res, 422, { error: moderated.code, message: moderated.error })
+          return
+        }
+        const { warning } = moderated
+        const ticket = queueSay(session, moderated.text, { tts: !!tts, volume })
+        if (ticket.error) {
+          sendJson(res, ticket.code === 'MUTED' ? 403 : 429, { error: ticket.code, message: ticket.error })
+          return
+        }
+        const response = { status: ticket.queued ? 'queued' : 'sent', ...ticket }
+        if (moderated.text !== text) response.text = moderated.text
+        if (tts) response.voice = session.voice
         if (warning) response.warning = warning
         sendJson(res, 200, response)
         return
@@ -850,6 +2320,15 @@ async function handleHttpRequest(req, res) {
           sendJson(res, 400, { error: 'INVALID_PARAMS', message: 'Duration cannot exceed 10000ms' })
           return
         }
+        if (!MOVE_DIRECTIONS.includes(direction)) {
+          sendJson(res, 400, { error: 'INVALID_PARAMS', message: `Invalid direction: ${direction}` })
+          return
+        }
+        const limited = chargeCommand(session, 'move')
+        if (limited) {
+          sendRateLimited(res, limited)
+          return
+        }
         try {
           agent.move(direction, durationMs, !!run)
         } catch (err) {
@@ -897,22 +2376,366 @@ async function handleHttpRequest(req, res) {
         return
       }
 
-      // ---- POST /api/agents/:id/ping ----
-      if (method === 'POST' && action === 'ping') {
-        sendJson(res, 200, { status: 'pong', agentStatus: agent.status })
+      // ---- POST /api/agents/:id/emote ----
+      if (method === 'POST' && action === 'emote') {
+        let body
+        try {
+          body = await readBody(req)
+        } catch (err) {
+          sendJson(res, 400, { error: 'INVALID_JSON', message: err.message })
+          return
+        }
+        const { name, duration, loop } = body
+        const { result, error } = playEmote(agent, name, { duration: duration ?? null, loop })
+        if (error) {
+          sendJson(res, 400, { error: 'INVALID_PARAMS', message: error })
+          return
+        }
+        sendJson(res, 200, result)
+        return
+      }
+
+      // ---- POST /api/agents/:id/hearing ----
+      if (method === 'POST' && action === 'hearing') {
+        let body
+        try {
+          body = await readBody(req)
+        } catch (err) {
+          sendJson(res, 400, { error: 'INVALID_JSON', message: err.message })
+          return
+        }
+        const { result, error } = setHearing(session, { mode: body.mode, radius: body.radius })
+        if (error) {
+          sendJson(res, 400, { error: 'INVALID_PARAMS', message: error })
+          return
+        }
+        sendJson(res, 200, result)
+        return
+      }
+
+      // ---- POST /api/agents/:id/proximity ----
+      if (method === 'POST' && action === 'proximity') {
+        let body
+        try {
+          body = await readBody(req)
+        } catch (err) {
+          sendJson(res, 400, { error: 'INVALID_JSON', message: err.message })
+          return
+        }
+        const { result, error } = setProximity(session, { radius: body.radius, hysteresis: body.hysteresis })
+        if (error) {
+          sendJson(res, 400, { error: 'INVALID_PARAMS', message: error })
+          return
+        }
+        sendJson(res, 200, result)
+        return
+      }
+
+      // ---- POST /api/agents/:id/travel ----
+      if (method === 'POST' && action === 'travel') {
+        let body
+        try {
+          body = await readBody(req)
+        } catch (err) {
+          sendJson(res, 400, { error: 'INVALID_JSON', message: err.message })
+          return
+        }
+        const { result, code, error, limited } = await travel(session, body.world)
+        if (limited) {
+          sendRateLimited(res, limited)
+          return
+        }
+        if (error) {
+          const status = { INVALID_PARAMS: 400, NOT_CONNECTED: 409, TRAVELING: 409, WORLD_FULL: 503, TRAVEL_FAILED: 502 }[code]
+          sendJson(res, status, { error: code, message: error })
+          return
+        }
+        sendJson(res, 200, result)
+        return
+      }
+
+      // ---- POST /api/agents/:id/dm ----
+      if (method === 'POST' && action === 'dm') {
+        let body
+        try {
+          body = await readBody(req)
+        } catch (err) {
+          sendJson(res, 400, { error: 'INVALID_JSON', message: err.message })
+          return
+        }
+        const { result, code, error, limited } = sendDirectMessage(session, body.to, body.text)
+        if (limited) {
+          sendRateLimited(res, limited)
+          return
+        }
+        if (error) {
+          sendJson(res, code === 'MUTED' ? 403 : 400, { error: code || 'INVALID_PARAMS', message: error })
+          return
+        }
+        sendJson(res, 200, { status: 'sent', ...result })
+        return
+      }
+
+      // ---- POST /api/agents/:id/ping ----
+      if (method === 'POST' && action === 'ping') {
+        sendJson(res, 200, { status: 'pong', agentStatus: agent.status })
+        return
+      }
+
+      sendJson(res, 404, { error: 'NOT_FOUND', message: `Unknown action: ${action || 'none'}` })
+      return
+    }
+
+    // ---- 404 fallthrough ----
+    sendJson(res, 404, { error: 'NOT_FOUND', message: `No route: ${method} ${path}` })
+  } catch (err) {
+    console.error('HTTP handler error:', err)
+    sendJson(res, 500, { error: 'INTERNAL_ERROR', message: err.message })
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Admin API (/api/admin/*, Bearer AGENT_ADMIN_KEY)
+// Operators look after live sessions here: list, despawn, mute, rename, ban.
+// Sessions are addressed by agent id or session token.
+// ---------------------------------------------------------------------------
+function isAdmin(req) {
+  if (!ADMIN_KEY) return false
+  const auth = req.headers['authorization']
+  if (!auth || !auth.startsWith('Bearer ')) return false
+  const given = Buffer.from(auth.slice(7))
+  const expected = Buffer.from(ADMIN_KEY)
+  return given.length === expected.length && timingSafeEqual(given, expected)
+}
+
+// Why the agent may not talk right now, or null. Expired mutes lift themselves.
+function muteError(session) {
+  if (!session.mute) return null
+  if (session.mute.until && session.mute.until <= Date.now()) {
+    session.mute = null
+    return null
+  }
+  const until = session.mute.until ? ` until ${new Date(session.mute.until).toISOString()}` : ''
+  return `Muted by an operator${until}${session.mute.reason ? `: ${session.mute.reason}` : ''}`
+}
+
+// Take an agent out of the world, telling its controller why
+function kickSession(agentId, code) {
+  const session = agentSessions.get(agentId)
+  if (!session) return
+  pushEvent(session, { type: 'kicked', code })
+  session.ws?.close()
+  destroySession(agentId)
+}
+
+function serializeAdminSession(id, session) {
+  muteError(session)
+  return {
+    id,
+    name: session.displayName,
+    transport: session.transport,
+    status: session.agent.status,
+    world: session.world.id,
+    // a WS agent whose socket dropped stays in the world waiting for `resume`
+    controller_connected: session.transport === 'http' || !!session.ws,
+    profile_id: session.profileId,
+    joined_at: new Date(session.joinedAt).toISOString(),
+    last_activity: new Date(session.lastActivity).toISOString(),
+    position: session.agent.getPosition(),
+    muted: session.mute ? {
+      until: session.mute.until && new Date(session.mute.until).toISOString(),
+      reason: session.mute.reason,
+    } : null,
+  }
+}
+
+// Parse an optional `duration_seconds` into an expiry timestamp (ms). Returns { until } or { error }.
+function parseDuration(value) {
+  if (value === undefined || value === null) return { until: null }
+  if (typeof value !== 'number' || !(value > 0)) return { error: 'duration_seconds must be a positive number' }
+  return { until: Date.now() + value * 1000 }
+}
+
+// Despawn everyone a new ban covers, in the world or still waiting in the queue
+function enforceBan(ban, profileId) {
+  const matches = (name, id) => ban.kind === 'name' ? name.toLowerCase() === ban.value : !!id && id === profileId
+  for (const [id, session] of [...agentSessions]) {
+    if (matches(session.agent.name, session.profileId)) kickSession(id, 'BANNED')
+  }
+  let removed = false
+  for (const entry of [...spawnQueue]) {
+    if (!matches(entry.displayName, entry.profileId)) continue
+    spawnQueue.remove(entry.id)
+    removed = true
+    if (entry.ws) {
+      sendError(entry.ws, 'BANNED', banMessage(ban))
+      entry.ws.close()
+    }
+    if (entry.token) failedSpawns.set(entry.token, { message: banMessage(ban), at: Date.now() })
+  }
+  if (removed) notifyQueuePositions()
+}
+
+async function handleAdminRequest(req, res, path, method) {
+  if (!isAdmin(req)) {
+    const message = ADMIN_KEY ? 'Invalid or missing admin key' : 'Admin API is disabled, set AGENT_ADMIN_KEY'
+    sendJson(res, ADMIN_KEY ? 401 : 403, { error: 'UNAUTHORIZED', message })
+    return
+  }
+
+  // ---- GET /api/admin/sessions ----
+  if (method === 'GET' && path === '/api/admin/sessions') {
+    sendJson(res, 200, {
+      sessions: [...agentSessions].map(([id, session]) => serializeAdminSession(id, session)),
+      queued: [...spawnQueue].map(entry => ({
+        id: entry.id,
+        name: entry.displayName,
+        transport: entry.transport,
+        profile_id: entry.profileId,
+        world: entry.world.id,
+        queue_position: spawnQueue.position(entry.id),
+      })),
+    })
+    return
+  }
+
+  // ---- /api/admin/sessions/:idOrToken/<action> ----
+  const sessionMatch = path.match(/^\/api\/admin\/sessions\/([^/]+)\/(\w+)$/)
+  if (sessionMatch && method === 'POST') {
+    const [, ref, action] = sessionMatch
+    const agentId = agentSessions.has(ref) ? ref : tokenIndex.get(ref)
+    const session = agentId && agentSessions.get(agentId)
+    if (!session) {
+      sendJson(res, 404, { error: 'NOT_FOUND', message: `No session: ${ref}` })
+      return
+    }
+    let body
+    try {
+      body = await readBody(req)
+    } catch (err) {
+      sendJson(res, 400, { error: 'INVALID_JSON', message: err.message })
+      return
+    }
+
+    if (action === 'despawn') {
+      console.log(`[admin] despawned ${session.displayName} (${agentId})`)
+      kickSession(agentId, 'ADMIN_DESPAWN')
+      sendJson(res, 200, { status: 'despawned', id: agentId })
+      return
+    }
+
+    if (action === 'mute') {
+      const { until, error } = parseDuration(body.duration_seconds)
+      if (error) {
+        sendJson(res, 400, { error: 'INVALID_PARAMS', message: error })
+        return
+      }
+      session.mute = { until, reason: typeof body.reason === 'string' ? body.reason : '' }
+      // whatever it was saying or about to say goes too
+      for (const item of session.world.speech.cancel(agentId)) {
+        pushEvent(session, { type: 'speech_finished', speech_id: item.id, kind: item.kind, reason: 'cancelled' })
+      }
+      session.world.speech.interrupt(agentId)
+      pushEvent(session, { type: 'muted', until: until && new Date(until).toISOString(), reason: session.mute.reason })
+      console.log(`[admin] muted ${session.displayName} (${agentId})`)
+      sendJson(res, 200, serializeAdminSession(agentId, session))
+      return
+    }
+
+    if (action === 'unmute') {
+      if (session.mute) pushEvent(session, { type: 'unmuted' })
+      session.mute = null
+      sendJson(res, 200, serializeAdminSession(agentId, session))
+      return
+    }
+
+    if (action === 'rename') {
+      const nameError = typeof body.name === 'string' && body.name ? validateName(body.name) : 'rename requires { name: string }'
+      if (nameError) {
+        sendJson(res, 400, { error: 'INVALID_PARAMS', message: nameError })
         return
       }
+      // a registered name stays its profile's, anyone else renamed to it gets a suffix
+      const owner = await getProfileByName(body.name)
+      const reserved = !!owner && owner.id !== session.profileId
+      session.agent.setName(body.name)
+      session.displayName = resolveDisplayName(body.name, agentId, { reserved })
+      pushEvent(session, { type: 'renamed', name: body.name, displayName: session.displayName })
+      console.log(`[admin] renamed ${agentId} to ${session.displayName}`)
+      sendJson(res, 200, serializeAdminSession(agentId, session))
+      return
+    }
 
-      sendJson(res, 404, { error: 'NOT_FOUND', message: `Unknown action: ${action || 'none'}` })
+    sendJson(res, 404, { error: 'NOT_FOUND', message: `Unknown action: ${action}` })
+    return
+  }
+
+  // ---- GET /api/admin/moderation (audit log) ----
+  if (method === 'GET' && path === '/api/admin/moderation') {
+    const params = new URL(req.url, 'http://localhost').searchParams
+    const limit = Math.min(Math.max(parseInt(params.get('limit') || '100', 10) || 100, 1), 1000)
+    sendJson(res, 200, { entries: await listModerationLog({ agentId: params.get('agent_id'), limit }) })
+    return
+  }
+
+  // ---- GET /api/admin/bans ----
+  if (method === 'GET' && path === '/api/admin/bans') {
+    sendJson(res, 200, { bans: (await listBans()).map(serializeBan) })
+    return
+  }
+
+  // ---- POST /api/admin/bans ----
+  if (method === 'POST' && path === '/api/admin/bans') {
+    let body
+    try {
+      body = await readBody(req)
+    } catch (err) {
+      sendJson(res, 400, { error: 'INVALID_JSON', message: err.message })
+      return
+    }
+    const { name, api_key: apiKey, reason = '' } = body
+    if (!name === !apiKey || (name && typeof name !== 'string') || (apiKey && typeof apiKey !== 'string')) {
+      sendJson(res, 400, { error: 'INVALID_PARAMS', message: 'ban requires either { name } or { api_key }' })
+      return
+    }
+    const { until, error } = parseDuration(body.duration_seconds)
+    if (error || typeof reason !== 'string') {
+      sendJson(res, 400, { error: 'INVALID_PARAMS', message: error || 'reason must be a string' })
       return
     }
+    let profile = null
+    if (apiKey) {
+      profile = await getProfileByApiKey(apiKey)
+      if (!profile) {
+        sendJson(res, 404, { error: 'NOT_FOUND', message: 'No agent registered with that API key' })
+        return
+      }
+    }
+    const ban = await createBan({
+      name: name || null,
+      apiKey: apiKey || null,
+      label: name || profile.name,
+      reason,
+      expiresAt: until && new Date(until).toISOString(),
+    })
+    enforceBan(ban, profile?.id)
+    console.log(`[admin] banned ${ban.kind} ${ban.label}${ban.expiresAt ? ` until ${ban.expiresAt}` : ''}`)
+    sendJson(res, 201, serializeBan(ban))
+    return
+  }
 
-    // ---- 404 fallthrough ----
-    sendJson(res, 404, { error: 'NOT_FOUND', message: `No route: ${method} ${path}` })
-  } catch (err) {
-    console.error('HTTP handler error:', err)
-    sendJson(res, 500, { error: 'INTERNAL_ERROR', message: err.message })
+  // ---- DELETE /api/admin/bans/:id ----
+  const banMatch = path.match(/^\/api\/admin\/bans\/([^/]+)$/)
+  if (banMatch && method === 'DELETE') {
+    if (!(await deleteBan(banMatch[1]))) {
+      sendJson(res, 404, { error: 'NOT_FOUND', message: `No ban: ${banMatch[1]}` })
+      return
+    }
+    sendJson(res, 200, { status: 'unbanned', id: banMatch[1] })
+    return
   }
+
+  sendJson(res, 404, { error: 'NOT_FOUND', message: `No route: ${method} ${path}` })
 }
 
 // ---------------------------------------------------------------------------
@@ -936,8 +2759,12 @@ function send(ws, type, payload = {}) {
   }
 }
 
-function sendError(ws, code, message) {
-  send(ws, 'error', { code, message })
+function sendError(ws, code, message, extra = {}) {
+  send(ws, 'error', { code, message, ...extra })
+}
+
+function sendRateLimitedError(ws, command, limited) {
+  sendError(ws, limited.error, limited.message, { command, retryAfter: limited.retryAfter })
 }
 
 // ---------------------------------------------------------------------------
@@ -946,6 +2773,7 @@ function sendError(ws, code, message) {
 wss.on('connection', (ws, req) => {
   console.log('New WebSocket connection from:', req.socket.remoteAddress)
   let agentId = null
+  let queuedId = null // set while this connection waits in the spawn queue
 
   ws.on('message', async (raw, isBinary) => {
     console.log('Received message, isBinary:', isBinary, 'size:', raw.length)
@@ -989,26 +2817,41 @@ wss.on('connection', (ws, req) => {
       const buf = Buffer.from(raw)
       if (buf.length < 1) return
       const cmd = buf[0]
+      const command = BINARY_COMMANDS[cmd]
+      if (!command) return
+
+      // Counted like their JSON twins: audio data is bounded by the stream
+      if (command !== 'audio_data') {
+        const limited = checkRateLimit(session, ['api'])
+        if (limited) {
+          sendRateLimitedError(ws, command, limited)
+          return
+        }
+      }
 
       if (cmd === 0x01) {
         // audio_start: rest is JSON
+        let json
         try {
-          const json = JSON.parse(buf.slice(1).toString('utf-8'))
-          const streamId = agent.startAudioStream(json)
-          send(ws, 'audio_started', { streamId })
-        } catch (err) {
-          sendError(ws, 'AUDIO_ERROR', err.message)
+          json = JSON.parse(buf.slice(1).toString('utf-8'))
+        } catch {
+          sendError(ws, 'INVALID_PARAMS', 'Invalid JSON in audio_start binary frame')
+          return
         }
+        const ticket = queueAudioStream(session, json)
+        if (ticket.limited) sendRateLimitedError(ws, command, ticket.limited)
+        else if (ticket.error) sendError(ws, ticket.code, ticket.error)
+        else send(ws, 'audio_start', ticket)
       } else if (cmd === 0x02) {
         // audio_data: bytes 1-4 = uint32LE seq, bytes 5+ = PCM samples
-        if (buf.length < 6) return
+        if (buf.length < 6 || !session.liveStream) return
         const seq = buf.readUInt32LE(1)
         const samples = buf.slice(5)
+        session.liveStream.touch()
         agent.pushAudioData(seq, samples)
       } else if (cmd === 0x03) {
         // audio_stop
-        agent.stopAudioStream()
-        send(ws, 'audio_stopped')
+        if (!stopAudio(session)) send(ws, 'audio_stopped')
       } else if (cmd === 0x04) {
         // audio_play: [0x04][jsonLen:u32LE][json][raw PCM]
         if (buf.length < 5) return
@@ -1026,18 +2869,14 @@ wss.on('connection', (ws, req) => {
           sendError(ws, 'INVALID_PARAMS', 'audio_play binary frame contains no PCM data')
           return
         }
-        try {
-          const streamId = agent.playAudio(pcmData, {
-            sampleRate: playOpts.sampleRate,
-            channels: playOpts.channels,
-            format: playOpts.format,
-          }, () => {
-            send(ws, 'audio_stopped')
-          })
-          send(ws, 'audio_started', { streamId })
-        } catch (err) {
-          sendError(ws, 'AUDIO_ERROR', err.message)
-        }
+        const ticket = queueAudioClip(session, pcmData, {
+          sampleRate: playOpts.sampleRate,
+          channels: playOpts.channels,
+          format: playOpts.format,
+        })
+        if (ticket.limited) sendRateLimitedError(ws, command, ticket.limited)
+        else if (ticket.error) sendError(ws, ticket.code, ticket.error)
+        else send(ws, 'audio_play', ticket)
       }
       return
     }
@@ -1052,16 +2891,52 @@ wss.on('connection', (ws, req) => {
 
     const { type } = msg
 
+    if (queuedId && type === 'state') {
+      send(ws, 'state', buildQueuedState(queuedId))
+      return
+    }
+
+    if (queuedId && type !== 'ping' && type !== 'world_status') {
+      const status = getQueueStatus(queuedId)
+      sendError(ws, 'QUEUED', `Waiting for a free slot (position ${status.queue_position}), commands are accepted once spawned`)
+      return
+    }
+
+    // Audio chunks stream many times a second, they are bounded by the stream itself
+    if (agentId && type !== 'audio_data') {
+      const session = agentSessions.get(agentId)
+      const limited = session && checkRateLimit(session, ['api'])
+      if (limited) {
+        sendRateLimitedError(ws, type, limited)
+        return
+      }
+    }
+
     switch (type) {
       case 'spawn': {
         if (agentId) {
           sendError(ws, 'ALREADY_SPAWNED', 'Agent already spawned on this connection')
           return
         }
-        const { name, avatar } = msg
-        const nameError = validateName(name)
-        if (nameError) {
-          sendError(ws, 'INVALID_PARAMS', nameError)
+        if (queuedId) {
+          sendError(ws, 'ALREADY_QUEUED', 'Agent is already waiting in the queue on this connection')
+          return
+        }
+        const identity = await resolveSpawnIdentity(msg.api_key, msg.name)
+        if (identity.code) {
+          sendError(ws, identity.code, identity.message)
+          return
+        }
+        const { profile, name } = identity
+        const avatar = msg.avatar ?? profile?.avatar
+        const voice = resolveVoice(msg.voice, profile, name)
+        if (!voice) {
+          sendError(ws, 'INVALID_PARAMS', `Unknown voice: ${msg.voice}. Send list_voices for the catalog`)
+          return
+        }
+        const world = resolveWorld(msg.world)
+        if (!world) {
+          sendError(ws, 'INVALID_PARAMS', `Unknown world: ${msg.world}. Send world_status for the list`)
           return
         }
 
@@ -1075,63 +2950,146 @@ wss.on('connection', (ws, req) => {
           return
         }
 
-        if (agentSessions.size >= MAX_AGENTS) {
-          sendError(ws, 'AGENT_LIMIT', `Server agent limit reached (${MAX_AGENTS})`)
-          return
-        }
-
         const id = nanoid(12)
-        const agent = new AgentConnection(id, name, resolvedAvatar)
-        const displayName = resolveDisplayName(name, id)
-
-        // Set callbacks before connect
-        agent.onWorldChat = (chatMsg) => {
-          const playerId = agent.getPlayerId()
-          if (chatMsg.fromId === playerId) return
-          send(ws, 'chat', {
-            from: resolveFromName(chatMsg.fromId, chatMsg.from),
-            fromId: chatMsg.fromId,
-            body: chatMsg.body,
-            id: chatMsg.id,
-            createdAt: chatMsg.createdAt,
-          })
-        }
+        const entry = {
+          id,
+          world,
+          transport: 'ws',
+          token: null,
+          ws,
+          profileId: profile?.id || null,
+          displayName: name,
+          enqueuedAt: Date.now(),
+          lastPoll: Date.now(),
+          admit: async () => {
+            queuedId = null
+            const agent = new AgentConnection(id, name, resolvedAvatar)
+            const hyperfyTokens = initialHyperfyTokens(profile)
+            agent.authToken = hyperfyTokens.get(world.id) || null
+            const displayName = resolveDisplayName(name, id, { registered: !!profile, reserved: identity.reserved })
+
+            // Set callbacks before connect
+            trackPlayers(agent, world)
+            agent.onWorldChat = (chatMsg) => hearWorldChat(id, agent, world, chatMsg)
+
+            // Without a controller to tell there is nothing to resume into, so end the session
+            agent.onKicked = (code) => {
+              const session = agentSessions.get(id)
+              if (!session?.ws) {
+                destroySession(id)
+                return
+              }
+              send(session.ws, 'kicked', { code })
+              session.ws.close()
+            }
+
+            agent.onDisconnect = () => {
+              const session = agentSessions.get(id)
+              if (!session?.ws) {
+                destroySession(id)
+                return
+              }
+              send(session.ws, 'disconnected')
+              session.ws.close()
+            }
+
+            await agent.connect(world.url)
+            // the socket may have gone away while we were connecting
+            if (ws.readyState !== ws.OPEN) {
+              agent.disconnect()
+              return
+            }
 
-        agent.onKick = (code) => {
-          send(ws, 'kicked', { code })
-          ws.close()
+            agentId = id
+
+            // Register in global registry
+            const resumeToken = nanoid(32)
+            const session = {
+              agent,
+              world,
+              transport: 'ws',
+              token: null,
+              ws,
+              eventBuffer: null,
+              lastActivity: Date.now(),
+              displayName,
+              profileId: profile?.id || null,
+              joinedAt: Date.now(),
+              voice,
+              hearing: { mode: 'all', radius: HEARING_RADIUS },
+              proximity: { radius: PROXIMITY_RADIUS, hysteresis: PROXIMITY_HYSTERESIS },
+              mute: null,
+              hyperfyTokens,
+              travelingTo: null,
+              resumeToken,
+              resumeTimer: null,
+            }
+            agentSessions.set(id, session)
+            resumeIndex.set(resumeToken, id)
+            rememberHyperfyUser(session)
+
+            console.log(`WS agent spawned: ${name} (${id}) displayName=${displayName} world=${world.id}`)
+            const spawnedPayload = { id: agent.id, name: agent.name, displayName, avatar: agent.avatar, voice, world: world.id, resumeToken }
+            if (avatarWarning) spawnedPayload.warning = avatarWarning
+            send(ws, 'spawned', spawnedPayload)
+          },
         }
 
-        agent.onDisconnect = () => {
-          send(ws, 'disconnected')
-          ws.close()
+        // At capacity: keep the socket open and send `spawned` once a slot frees up
+        if (!canSpawnNow(world)) {
+          spawnQueue.push(entry)
+          queuedId = id
+          console.log(`WS agent queued: ${name} (${id}) world=${world.id} position=${spawnQueue.position(id)}`)
+          send(ws, 'queued', { id, ...getQueueStatus(id) })
+          break
         }
 
         try {
-          await agent.connect(HYPERFY_WS_URL)
+          await admit(entry)
         } catch (err) {
           sendError(ws, 'SPAWN_FAILED', err.message)
-          return
         }
+        break
+      }
 
+      case 'resume': {
+        if (agentId) {
+          sendError(ws, 'ALREADY_SPAWNED', 'Agent already spawned on this connection')
+          return
+        }
+        const id = typeof msg.token === 'string' ? resumeIndex.get(msg.token) : null
+        const session = id ? agentSessions.get(id) : null
+        if (!session) {
+          sendError(ws, 'RESUME_FAILED', 'Unknown or expired resume token, spawn again')
+          return
+        }
+        // A half-open socket we never saw close loses to the new one. Swap first so its
+        // close handler sees it no longer owns the session.
+        const previous = session.ws
+        session.ws = ws
+        if (previous) previous.close()
+        clearTimeout(session.resumeTimer)
+        session.resumeTimer = null
+        const { events: missed, dropped } = session.eventBuffer ? session.eventBuffer.read() : { events: [], dropped: 0 }
+        session.eventBuffer = null
+        session.lastActivity = Date.now()
         agentId = id
 
-        // Register in global registry
-        const session = {
-          agent,
-          transport: 'ws',
-          token: null,
-          ws,
-          eventBuffer: null,
-          lastActivity: Date.now(),
-          displayName,
+        const agent = session.agent
+        console.log(`WS agent resumed: ${agent.name} (${id}), replaying ${missed.length} events`)
+        send(ws, 'resumed', {
+          id,
+          name: agent.name,
+          displayName: session.displayName,
+          avatar: agent.avatar,
+          voice: session.voice,
+          resumeToken: session.resumeToken,
+          missed: missed.length,
+          dropped,
+        })
+        for (const event of missed) {
+          ws.send(JSON.stringify(event))
         }
-        agentSessions.set(id, session)
-
-        console.log(`WS agent spawned: ${name} (${id}) displayName=${displayName}`)
-        const spawnedPayload = { id: agent.id, name: agent.name, displayName, avatar: agent.avatar }
-        if (avatarWarning) spawnedPayload.warning = avatarWarning
-        send(ws, 'spawned', spawnedPayload)
         break
       }
 
@@ -1143,21 +3101,38 @@ wss.on('connection', (ws, req) => {
             agent ? 'Agent is not connected' : 'Send spawn first')
           return
         }
-        const { text } = msg
+        const { text, tts, volume = 'normal' } = msg
         if (!text || typeof text !== 'string') {
           sendError(ws, 'INVALID_PARAMS', 'speak requires { text: string }')
           return
         }
+        if (!VOLUMES.includes(volume)) {
+          sendError(ws, 'INVALID_PARAMS', `volume must be one of: ${VOLUMES.join(', ')}`)
+          return
+        }
         if (text.length > MAX_CHAT_LENGTH) {
           sendError(ws, 'INVALID_PARAMS', `Message too long (max ${MAX_CHAT_LENGTH} characters)`)
           return
         }
-        const warning = validateSpeakText(text)
-        if (warning) {
-          send(ws, 'warning', { message: warning })
+        const limited = chargeCommand(session, 'speak')
+        if (limited) {
+          sendRateLimitedError(ws, type, limited)
+          return
+        }
+        const moderated = await moderateSpeech(session, text)
+        if (moderated.error) {
+          sendError(ws, moderated.code, moderated.error)
+          return
+        }
+        if (moderated.warning) {
+          send(ws, 'warning', { message: moderated.warning })
+        }
+        const ticket = queueSay(session, moderated.text, { tts: !!tts, volume })
+        if (ticket.error) {
+          sendError(ws, ticket.code, ticket.error)
+          return
         }
-        agent.speak(text)
-        send(ws, 'speak', { text })
+        send(ws, 'speak', { text: moderated.text, ...ticket, ...(tts && { voice: session.voice }) })
         break
       }
 
@@ -1183,6 +3158,15 @@ wss.on('connection', (ws, req) => {
           sendError(ws, 'INVALID_PARAMS', 'Duration cannot exceed 10000ms')
           return
         }
+        if (!MOVE_DIRECTIONS.includes(direction)) {
+          sendError(ws, 'INVALID_PARAMS', `Invalid direction: ${direction}`)
+          return
+        }
+        const limited = chargeCommand(session, 'move')
+        if (limited) {
+          sendRateLimitedError(ws, type, limited)
+          return
+        }
         try {
           agent.move(direction, durationMs, !!moveRun)
           const moveAck = { direction, duration: durationMs }
@@ -1210,7 +3194,7 @@ wss.on('connection', (ws, req) => {
         try {
           if (faceTarget) {
             // face toward another agent
-            const resolved = resolveAgentByName(faceTarget)
+            const resolved = resolveAgentByName(faceTarget, session.world)
             if (!resolved) {
               sendError(ws, 'INVALID_PARAMS', `Agent not found: ${faceTarget}`)
               return
@@ -1277,27 +3261,7 @@ wss.on('connection', (ws, req) => {
           return
         }
         const radius = (typeof msg.radius === 'number' && msg.radius > 0) ? msg.radius : 10
-        const nearbyAgents = []
-        for (const [id, s] of agentSessions) {
-          if (id === agentId) continue
-          if (s.agent.status !== 'connected') continue
-          const theirPos = s.agent.getPosition()
-          if (!theirPos) continue
-          const dx = theirPos.x - myPos.x
-          const dz = theirPos.z - myPos.z
-          const dist = Math.sqrt(dx * dx + dz * dz)
-          if (dist <= radius) {
-            nearbyAgents.push({
-              displayName: s.displayName,
-              id,
-              playerId: s.agent.getPlayerId(),
-              position: theirPos,
-              distance: round2(dist),
-            })
-          }
-        }
-        nearbyAgents.sort((a, b) => a.distance - b.distance)
-        send(ws, 'nearby', { radius, agents: nearbyAgents })
+        send(ws, 'nearby', { radius, agents: findNearby(session, radius) })
         break
       }
 
@@ -1315,11 +3279,11 @@ wss.on('connection', (ws, req) => {
           return
         }
 
-        let navX, navZ, targetName = null, getTargetPos = null
+        let navX, navZ, navY = null, targetName = null, getTargetPos = null
         const navRun = !!msg.run
 
         if (msg.target) {
-          const resolved = resolveAgentByName(msg.target)
+          const resolved = resolveAgentByName(msg.target, session.world)
           if (!resolved) {
             sendError(ws, 'INVALID_PARAMS', `Agent not found: ${msg.target}`)
             return
@@ -1333,6 +3297,7 @@ wss.on('connection', (ws, req) => {
           }
           navX = theirPos.x
           navZ = theirPos.z
+          navY = theirPos.y
           getTargetPos = () => {
             const s = agentSessions.get(targetId)
             if (!s || s.agent.status !== 'connected') return null
@@ -1350,10 +3315,27 @@ wss.on('connection', (ws, req) => {
         const dz = navZ - myPos.z
         const startDistance = round2(Math.sqrt(dx * dx + dz * dz))
 
+        const limited = chargeCommand(session, 'navigate')
+        if (limited) {
+          sendRateLimitedError(ws, type, limited)
+          return
+        }
+        let plan
+        try {
+          plan = await agent.planPath(navX, navZ, navY)
+        } catch (err) {
+          sendError(ws, 'NO_PATH', `Path planning failed: ${err.message}`)
+          return
+        }
+        if (!plan) {
+          sendError(ws, 'NO_PATH', `No path to ${targetName || `${navX} ${navZ}`}`)
+          return
+        }
+
         const currentAgentId = agentId
-        agent.navigateTo(navX, navZ, { getTargetPos, run: navRun }).then((result) => {
+        agent.navigateTo(navX, navZ, { getTargetPos, run: navRun, plan }).then((result) => {
           const s = agentSessions.get(currentAgentId)
-          if (!s || !s.ws || s.ws.readyState !== s.ws.OPEN) return
+          if (!s) return
           const event = {
             type: 'navigate',
             status: result.arrived ? 'arrived' : 'failed',
@@ -1363,10 +3345,10 @@ wss.on('connection', (ws, req) => {
           if (result.error && !result.arrived) event.error = result.error
           if (targetName) event.target = targetName
           if (navRun) event.run = true
-          s.ws.send(JSON.stringify(event))
+          pushEvent(s, event)
         })
 
-        const startPayload = { status: 'started', distance: startDistance }
+        const startPayload = { status: 'started', distance: startDistance, ...describePlan(agent, plan, navRun) }
         if (targetName) {
           startPayload.target = targetName
         } else {
@@ -1390,17 +3372,122 @@ wss.on('connection', (ws, req) => {
         break
       }
 
+      case 'emote': {
+        const session = agentSessions.get(agentId)
+        const agent = session?.agent
+        if (!agent || agent.status !== 'connected') {
+          sendError(ws, agent ? 'NOT_CONNECTED' : 'SPAWN_REQUIRED',
+            agent ? 'Agent is not connected' : 'Send spawn first')
+          return
+        }
+        const { result, error } = playEmote(agent, msg.name, { duration: msg.duration ?? null, loop: msg.loop })
+        if (error) {
+          sendError(ws, 'INVALID_PARAMS', error)
+          return
+        }
+        send(ws, 'emote', result)
+        break
+      }
+
+      case 'hearing': {
+        const session = agentSessions.get(agentId)
+        if (!session) {
+          sendError(ws, 'SPAWN_REQUIRED', 'Send spawn first')
+          return
+        }
+        const { result, error } = setHearing(session, { mode: msg.mode, radius: msg.radius })
+        if (error) {
+          sendError(ws, 'INVALID_PARAMS', error)
+          return
+        }
+        send(ws, 'hearing', result)
+        break
+      }
+
+      case 'proximity_settings': {
+        const session = agentSessions.get(agentId)
+        if (!session) {
+          sendError(ws, 'SPAWN_REQUIRED', 'Send spawn first')
+          return
+        }
+        const { result, error } = setProximity(session, { radius: msg.radius, hysteresis: msg.hysteresis })
+        if (error) {
+          sendError(ws, 'INVALID_PARAMS', error)
+          return
+        }
+        send(ws, 'proximity_settings', result)
+        break
+      }
+
+      case 'dm': {
+        const session = agentSessions.get(agentId)
+        const agent = session?.agent
+        if (!agent || agent.status !== 'connected') {
+          sendError(ws, agent ? 'NOT_CONNECTED' : 'SPAWN_REQUIRED',
+            agent ? 'Agent is not connected' : 'Send spawn first')
+          return
+        }
+        const { result, code, error, limited } = sendDirectMessage(session, msg.to, msg.text)
+        if (limited) {
+          sendRateLimitedError(ws, type, limited)
+          return
+        }
+        if (error) {
+          sendError(ws, code || 'INVALID_PARAMS', error)
+          return
+        }
+        send(ws, 'dm_sent', result)
+        break
+      }
+
+      case 'list_emotes': {
+        send(ws, 'emote_catalog', { emotes: emoteLibrary })
+        break
+      }
+
       case 'who': {
-        const agents = []
-        for (const [id, s] of agentSessions) {
-          if (s.agent.status === 'connected') {
-            const entry = { displayName: s.displayName, id, playerId: s.agent.getPlayerId() }
-            const pos = s.agent.getPosition()
-            if (pos) entry.position = pos
-            agents.push(entry)
-          }
+        send(ws, 'who', listOnline())
+        break
+      }
+
+      case 'travel': {
+        const session = agentSessions.get(agentId)
+        if (!session) {
+          sendError(ws, 'SPAWN_REQUIRED', 'Send spawn first')
+          return
+        }
+        const { result, code, error, limited } = await travel(session, msg.world)
+        if (limited) {
+          sendRateLimitedError(ws, type, limited)
+          return
+        }
+        if (error) {
+          sendError(ws, code, error)
+          return
         }
-        send(ws, 'who', { agents })
+        send(ws, 'travel', result)
+        break
+      }
+
+      case 'state': {
+        const session = agentSessions.get(agentId)
+        const agent = session?.agent
+        if (!agent || agent.status !== 'connected') {
+          sendError(ws, agent ? 'NOT_CONNECTED' : 'SPAWN_REQUIRED',
+            agent ? 'Agent is not connected' : 'Send spawn first')
+          return
+        }
+        const limited = chargeCommand(session, 'state')
+        if (limited) {
+          sendRateLimitedError(ws, type, limited)
+          return
+        }
+        send(ws, 'state', buildWorldState(agentId, session))
+        break
+      }
+
+      case 'list_voices': {
+        send(ws, 'voice_catalog', { voices: listVoices() })
         break
       }
 
@@ -1496,18 +3583,16 @@ wss.on('connection', (ws, req) => {
           sendError(ws, 'INVALID_PARAMS', 'samples must be valid base64')
           return
         }
-        try {
-          const streamId = agent.playAudio(playBuffer, {
-            sampleRate: playSR,
-            channels: playCh,
-            format: playFmt,
-          }, () => {
-            send(ws, 'audio_stopped')
-          })
-          send(ws, 'audio_started', { streamId })
-        } catch (err) {
-          sendError(ws, 'AUDIO_ERROR', err.message)
+        const ticket = queueAudioClip(session, playBuffer, { sampleRate: playSR, channels: playCh, format: playFmt })
+        if (ticket.limited) {
+          sendRateLimitedError(ws, type, ticket.limited)
+          return
+        }
+        if (ticket.error) {
+          sendError(ws, ticket.code, ticket.error)
+          return
         }
+        send(ws, 'audio_play', ticket)
         break
       }
 
@@ -1520,25 +3605,31 @@ wss.on('connection', (ws, req) => {
           return
         }
         const { sampleRate, channels, format } = msg
-        try {
-          const streamId = agent.startAudioStream({ sampleRate, channels, format })
-          send(ws, 'audio_started', { streamId })
-        } catch (err) {
-          sendError(ws, 'AUDIO_ERROR', err.message)
+        const ticket = queueAudioStream(session, { sampleRate, channels, format })
+        if (ticket.limited) {
+          sendRateLimitedError(ws, type, ticket.limited)
+          return
         }
+        if (ticket.error) {
+          sendError(ws, ticket.code, ticket.error)
+          return
+        }
+        send(ws, 'audio_start', ticket)
         break
       }
 
       case 'audio_data': {
         const session = agentSessions.get(agentId)
         const agent = session?.agent
-        if (!agent || agent.status !== 'connected') return
+        // audio_data before our turn (or after audio_stop) has nowhere to go
+        if (!agent || agent.status !== 'connected' || !session.liveStream) return
         const { samples: b64Samples, seq: audioSeq } = msg
         if (!b64Samples || typeof b64Samples !== 'string') {
           sendError(ws, 'INVALID_PARAMS', 'audio_data requires { samples: string (base64) }')
           return
         }
         const audioBuffer = Buffer.from(b64Samples, 'base64')
+        session.liveStream.touch()
         agent.pushAudioData(audioSeq, audioBuffer)
         break
       }
@@ -1547,8 +3638,18 @@ wss.on('connection', (ws, req) => {
         const session = agentSessions.get(agentId)
         const agent = session?.agent
         if (!agent) return
-        agent.stopAudioStream()
-        send(ws, 'audio_stopped')
+        if (!stopAudio(session)) send(ws, 'audio_stopped')
+        break
+      }
+
+      case 'world_status': {
+        const status = getWorldStatus()
+        if (queuedId) {
+          Object.assign(status, { your_status: 'queued', ...getQueueStatus(queuedId) })
+        } else if (agentId) {
+          Object.assign(status, { your_status: 'active', queue_position: null })
+        }
+        send(ws, 'world_status', status)
         break
       }
 
@@ -1565,18 +3666,28 @@ wss.on('connection', (ws, req) => {
 
   ws.on('close', (code, reason) => {
     console.log('WS closed - agentId:', agentId, 'code:', code, 'reason:', reason?.toString())
+    if (queuedId) {
+      spawnQueue.remove(queuedId)
+      queuedId = null
+      notifyQueuePositions()
+    }
     if (agentId) {
-      destroySession(agentId)
+      const session = agentSessions.get(agentId)
+      // a resume on another socket may have taken the session over already
+      if (session?.ws === ws) {
+        if (DELIBERATE_CLOSE_CODES.has(code) || session.agent.status !== 'connected') {
+          destroySession(agentId)
+        } else {
+          detachSession(agentId)
+        }
+      }
       agentId = null
     }
   })
 
+  // ws always emits 'close' after 'error', cleanup happens there
   ws.on('error', (err) => {
     console.error('WS error - agentId:', agentId, 'error:', err.message)
-    if (agentId) {
-      destroySession(agentId)
-      agentId = null
-    }
   })
 })
 
@@ -1585,9 +3696,23 @@ wss.on('connection', (ws, req) => {
 // ---------------------------------------------------------------------------
 const cleanupInterval = setInterval(() => {
   const now = Date.now()
+  // HTTP agents that stopped polling while queued have given up, don't hold their place
+  for (const entry of [...spawnQueue]) {
+    if (entry.transport === 'http' && now - entry.lastPoll > INACTIVITY_TTL) {
+      console.log(`Queued agent timed out: ${entry.displayName} (${entry.id})`)
+      spawnQueue.remove(entry.id)
+      notifyQueuePositions()
+    }
+  }
+  for (const [token, failed] of failedSpawns) {
+    if (now - failed.at > INACTIVITY_TTL) failedSpawns.delete(token)
+  }
+  rateLimiter.prune()
   for (const [id, session] of agentSessions) {
-    if (now - session.lastActivity > INACTIVITY_TTL) {
-      console.log(`Session timed out (inactive ${Math.round((now - session.lastActivity) / 1000)}s): ${id} (${session.agent.name}, ${session.transport})`)
+    // a controller that only takes webhooks shows it is still there by accepting them
+    const lastSeen = Math.max(session.lastActivity, session.webhook?.lastDeliveryAt || 0)
+    if (now - lastSeen > INACTIVITY_TTL) {
+      console.log(`Session timed out (inactive ${Math.round((now - lastSeen) / 1000)}s): ${id} (${session.agent.name}, ${session.transport})`)
       // For WS agents, close the socket (which triggers destroySession via 'close' handler)
       if (session.transport === 'ws' && session.ws) {
         send(session.ws, 'kicked', { code: 'INACTIVITY_TIMEOUT' })
@@ -1600,60 +3725,29 @@ const cleanupInterval = setInterval(() => {
 }, 60_000)
 
 // ---------------------------------------------------------------------------
-// Proximity monitor — checks pairwise distances every 1s
+// Proximity monitor — every 1s, each agent checks the players in its radius.
+// Someone enters at `radius` and only leaves past `radius + hysteresis`, so
+// a player idling at the edge doesn't flicker in and out.
 // ---------------------------------------------------------------------------
 const proximityInterval = setInterval(() => {
-  const connected = []
   for (const [id, session] of agentSessions) {
-    if (session.agent.status === 'connected') {
-      const pos = session.agent.getPosition()
-      if (pos) connected.push({ id, session, pos })
-    }
-  }
-
-  for (let i = 0; i < connected.length; i++) {
-    for (let j = i + 1; j < connected.length; j++) {
-      const a = connected[i]
-      const b = connected[j]
-      const dx = a.pos.x - b.pos.x
-      const dz = a.pos.z - b.pos.z
-      const dist = Math.sqrt(dx * dx + dz * dz)
-
-      const aSet = proximityState.get(a.id) || new Set()
-      const bSet = proximityState.get(b.id) || new Set()
-      if (!proximityState.has(a.id)) proximityState.set(a.id, aSet)
-      if (!proximityState.has(b.id)) proximityState.set(b.id, bSet)
-
-      if (dist <= PROXIMITY_RADIUS && !aSet.has(b.id)) {
-        // Enter
-        aSet.add(b.id)
-        bSet.add(a.id)
-        pushEvent(a.session, {
-          type: 'proximity',
-          entered: [{ displayName: b.session.displayName, id: b.id, position: b.pos, distance: round2(dist) }],
-          exited: [],
-        })
-        pushEvent(b.session, {
-          type: 'proximity',
-          entered: [{ displayName: a.session.displayName, id: a.id, position: a.pos, distance: round2(dist) }],
-          exited: [],
-        })
-      } else if (dist > PROXIMITY_RADIUS && aSet.has(b.id)) {
-        // Exit
-        aSet.delete(b.id)
-        bSet.delete(a.id)
-        pushEvent(a.session, {
-          type: 'proximity',
-          entered: [],
-          exited: [{ displayName: b.session.displayName, id: b.id }],
-        })
-        pushEvent(b.session, {
-          type: 'proximity',
-          entered: [],
-          exited: [{ displayName: a.session.displayName, id: a.id }],
-        })
-      }
+    if (session.agent?.status !== 'connected') continue
+    const pos = session.agent.getPosition()
+    if (!pos) continue
+    const playerId = session.agent.getPlayerId()
+    const { radius, hysteresis } = session.proximity
+    const before = proximityState.get(id) || new Map()
+    const inRange = new Map()
+    const entered = []
+    for (const hit of session.world.grid.queryInRange(pos.x, pos.z, radius, hysteresis, before)) {
+      if (hit.id === playerId) continue
+      const other = describePlayer(hit.id, hit.data)
+      inRange.set(hit.id, other)
+      if (!before.has(hit.id)) entered.push({ ...other, position: toXYZ(hit.position), distance: round2(hit.distance) })
     }
+    const exited = [...before].filter(([otherId]) => !inRange.has(otherId)).map(([, other]) => other)
+    proximityState.set(id, inRange)
+    if (entered.length || exited.length) pushEvent(session, { type: 'proximity', entered, exited })
   }
 }, 1000)
 
@@ -1665,6 +3759,10 @@ const shutdown = () => {
   clearInterval(cleanupInterval)
   clearInterval(proximityInterval)
 
+  // Nobody gets admitted while we tear down
+  spawnQueue.clear()
+  for (const world of worlds.values()) world.speech.clear()
+
   // Destroy all agent sessions (both WS and HTTP)
   for (const [id] of agentSessions) {
     destroySession(id)
@@ -1696,5 +3794,8 @@ server.listen(PORT, () => {
   console.log(`  WebSocket: ws://localhost:${PORT}`)
   console.log(`  HTTP API:  http://localhost:${PORT}/api/`)
   console.log(`  Health:    http://localhost:${PORT}/health`)
-  console.log(`Hyperfy WebSocket URL: ${HYPERFY_WS_URL}`)
+  if (SIMULATOR) console.log('SIMULATOR on: agents join in-process simulated worlds, Hyperfy is not contacted')
+  for (const world of worlds.values()) {
+    console.log(`World ${world.id}${world === defaultWorld ? ' (default)' : ''}: ${world.url}, capacity ${world.capacity}`)
+  }
 })
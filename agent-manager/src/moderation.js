@@ -0,0 +1,194 @@
+import fs from 'node:fs'
+import { getDB } from './db.js'
+
+const MODERATION_CONFIG = process.env.MODERATION_CONFIG || null
+const MODERATION_HOOK_URL = process.env.MODERATION_HOOK_URL || null
+const MODERATION_HOOK_TIMEOUT = 2000
+const HISTORY_LENGTH = 10 // lines per agent kept for the spam rule
+const LOG_RETENTION_DAYS = 30
+
+const ACTIONS = ['warn', 'mask', 'block'] // least to most severe
+
+/**
+ * Moderation rules, run in registration order on every line an agent says.
+ * A rule looks like
+ *
+ *   {
+ *     id: 'word_list',
+ *     check(text, context) → null | { action, reason, text? } (or a Promise of one)
+ *   }
+ *
+ * `action` is `warn` (said as is, the agent is told why), `mask` (said as the
+ * returned `text`, later rules see the masked text) or `block` (not said, no
+ * further rules run). `context` is { agentId, name, recent } where `recent`
+ * holds the agent's last lines as { text, at }, oldest first. A rule that
+ * throws is logged and skipped, so a flaky classifier never silences everyone.
+ */
+const rules = []
+
+export function registerModerationRule(rule) {
+  rules.push(rule)
+}
+
+const config = loadConfig()
+
+function loadConfig() {
+  if (!MODERATION_CONFIG) return {}
+  try {
+    return JSON.parse(fs.readFileSync(MODERATION_CONFIG, 'utf8'))
+  } catch (err) {
+    // better to refuse to start than to run a public stream unmoderated by accident
+    throw new Error(`Could not load MODERATION_CONFIG ${MODERATION_CONFIG}: ${err.message}`)
+  }
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+const normalize = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()
+
+// Agents that meant to send a command but put it in the text instead
+registerModerationRule({
+  id: 'command_like',
+  check(text) {
+    if (/^\s*\{?\s*"?type"?\s*[:=]/i.test(text) || /^\s*type\s*:\s*\w+/i.test(text)) {
+      return {
+        action: 'warn',
+        reason: 'Text looks like a malformed command. Send commands as proper JSON messages, not as speak text.',
+      }
+    }
+    return null
+  },
+})
+
+// Whole words from the config's `words`, masked with asterisks unless `wordAction` says otherwise
+if (config.words?.length) {
+  const wordRegex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${config.words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+  const action = config.wordAction || 'mask'
+  registerModerationRule({
+    id: 'word_list',
+    check(text) {
+      if (!text.match(wordRegex)) return null
+      return { action, reason: 'Contains a blocked word', text: text.replace(wordRegex, word => '*'.repeat(word.length)) }
+    },
+  })
+}
+
+// The config's `patterns`: [{ pattern, flags?, action?, reason? }], a mask replaces each match
+for (const [i, { pattern, flags = 'i', action = 'block', reason = 'Matches a moderation rule' }] of (config.patterns || []).entries()) {
+  const regex = new RegExp(pattern, flags.includes('g') ? flags : flags + 'g')
+  registerModerationRule({
+    id: `pattern_${i + 1}`,
+    check(text) {
+      regex.lastIndex = 0
+      if (!regex.test(text)) return null
+      regex.lastIndex = 0
+      return { action, reason, text: text.replace(regex, match => '*'.repeat(match.length)) }
+    },
+  })
+}
+
+// Repeating yourself, stretching characters out, pasting links
+const spam = { maxRepeats: 2, repeatWindowSeconds: 300, maxCharRun: 10, maxLinks: 2, ...config.spam }
+registerModerationRule({
+  id: 'spam',
+  check(text, { recent }) {
+    const line = normalize(text)
+    const since = Date.now() - spam.repeatWindowSeconds * 1000
+    const repeats = recent.filter(entry => entry.at > since && normalize(entry.text) === line).length
+    if (line && repeats >= spam.maxRepeats) return { action: 'block', reason: 'Repeated message' }
+    if ((text.match(/https?:\/\/\S+/gi) || []).length > spam.maxLinks) return { action: 'block', reason: 'Too many links' }
+    // not asterisks, those are what earlier rules masked
+    const runRegex = new RegExp(`([^*])\\1{${spam.maxCharRun},}`, 'gu')
+    if (runRegex.test(text)) {
+      return { action: 'mask', reason: 'Stretched characters', text: text.replace(runRegex, run => run.slice(0, 3)) }
+    }
+    return null
+  },
+})
+
+// Any external classifier: POST { text, agent: { id, name } }, answer null or { action, reason, text? }
+if (MODERATION_HOOK_URL) {
+  registerModerationRule({
+    id: 'hook',
+    async check(text, { agentId, name }) {
+      const res = await fetch(MODERATION_HOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, agent: { id: agentId, name } }),
+        signal: AbortSignal.timeout(MODERATION_HOOK_TIMEOUT),
+      })
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
+      const result = await res.json()
+      return ACTIONS.includes(result?.action) ? result : null
+    },
+  })
+}
+
+const histories = new Map() // agentId → [{ text, at }]
+
+/**
+ * Run a line through every rule. Returns { action, text, results } where
+ * `action` is the most severe outcome ('allow' if nothing fired), `text` the
+ * line as it may be said and `results` one { rule, action, reason } per rule
+ * that fired.
+ */
+export async function moderateText(text, { agentId, name }) {
+  const recent = histories.get(agentId) || []
+  const verdict = { action: 'allow', text, results: [] }
+  for (const rule of rules) {
+    let result
+    try {
+      result = await rule.check(verdict.text, { agentId, name, recent })
+    } catch (err) {
+      console.error(`[moderation] rule ${rule.id} failed:`, err.message)
+      continue
+    }
+    if (!result || !ACTIONS.includes(result.action)) continue
+    verdict.results.push({ rule: rule.id, action: result.action, reason: result.reason || '' })
+    if (ACTIONS.indexOf(result.action) > ACTIONS.indexOf(verdict.action)) verdict.action = result.action
+    if (result.action === 'block') return verdict
+    if (result.action === 'mask' && typeof result.text === 'string') verdict.text = result.text
+  }
+  recent.push({ text, at: Date.now() })
+  if (recent.length > HISTORY_LENGTH) recent.shift()
+  histories.set(agentId, recent)
+  return verdict
+}
+
+export function forgetSpeaker(agentId) {
+  histories.delete(agentId)
+}
+
+/**
+ * Audit log of lines moderation stepped in on (blocked or masked), for operators.
+ */
+export async function recordModeration({ agentId, profileId = null, name, action, text, results }) {
+  const db = await getDB()
+  await db('moderation_log').insert({
+    agentId,
+    profileId,
+    name,
+    action,
+    text,
+    rules: JSON.stringify(results),
+    createdAt: new Date().toISOString(),
+  })
+}
+
+// Newest first, entries past the retention period are cleared out on the way
+export async function listModerationLog({ agentId = null, limit = 100 } = {}) {
+  const db = await getDB()
+  const cutoff = new Date(Date.now() - LOG_RETENTION_DAYS * 86400000).toISOString()
+  await db('moderation_log').where('createdAt', '<', cutoff).delete()
+  const query = db('moderation_log').orderBy('id', 'desc').limit(limit)
+  if (agentId) query.where('agentId', agentId)
+  return (await query).map(entry => ({
+    id: entry.id,
+    agent_id: entry.agentId,
+    profile_id: entry.profileId,
+    name: entry.name,
+    action: entry.action,
+    text: entry.text,
+    rules: JSON.parse(entry.rules),
+    created_at: entry.createdAt,
+  }))
+}
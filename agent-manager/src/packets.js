@@ -0,0 +1,81 @@
+import { Packr } from 'msgpackr';
+
+const packr = new Packr({ structuredClone: true });
+
+// Packet ids are positional, so this list must stay in sync with
+// hyperfy/src/core/packets.js — append only, never reorder.
+const names = [
+  'snapshot',
+  'command',
+  'chatAdded',
+  'chatCleared',
+  'blueprintAdded',
+  'blueprintModified',
+  'entityAdded',
+  'entityModified',
+  'entityEvent',
+  'entityRemoved',
+  'playerTeleport',
+  'playerPush',
+  'playerSessionAvatar',
+  'liveKitLevel',
+  'mute',
+  'settingsModified',
+  'spawnModified',
+  'modifyRank',
+  'kick',
+  'ai',
+  'ping',
+  'pong',
+  'agentInput',
+  'agentPath',
+  'audioStreamStart',
+  'audioStreamData',
+  'audioStreamStop',
+];
+
+const byName = {};
+const byId = {};
+
+let ids = -1;
+
+for (const name of names) {
+  const id = ++ids;
+  const info = {
+    id,
+    name,
+    method: `on${capitalize(name)}`, // eg 'chatAdded' -> 'onChatAdded'
+  };
+  byName[name] = info;
+  byId[id] = info;
+}
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * Encode a named packet into the msgpack frame Hyperfy's Socket expects.
+ * Throws if the name is not part of the protocol.
+ */
+export function writePacket(name, data) {
+  const info = byName[name];
+  if (!info) throw new Error(`writePacket failed: ${name} (name not found)`);
+  return packr.pack([info.id, data]);
+}
+
+/**
+ * Decode a binary frame into `[method, data]`, eg `['onChatAdded', msg]`.
+ * Returns an empty array for frames that cannot be decoded.
+ */
+export function readPacket(packet) {
+  try {
+    const [id, data] = packr.unpack(packet);
+    const info = byId[id];
+    if (!info) throw new Error(`readPacket failed: ${id} (id not found)`);
+    return [info.method, data];
+  } catch (err) {
+    console.error(err.message);
+    return [];
+  }
+}
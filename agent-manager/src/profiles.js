@@ -0,0 +1,109 @@
+import { createHash } from 'node:crypto'
+import { nanoid } from 'nanoid'
+import { getDB } from './db.js'
+import { defaultVoiceFor } from './tts.js'
+
+export const API_KEY_PREFIX = 'lobby_sk_'
+export const MAX_DESCRIPTION_LENGTH = 500
+
+// API keys are only ever shown once, at registration. We keep a hash so a leaked database can't be replayed.
+export function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex')
+}
+
+export function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX)
+}
+
+/**
+ * Create a profile. Returns { profile, apiKey }, or null if the name is already taken.
+ */
+export async function registerProfile({ name, description = '', avatar = null, voice = null }) {
+  const db = await getDB()
+  const existing = await db('profiles').where('nameKey', name.toLowerCase()).first()
+  if (existing) return null
+  const apiKey = API_KEY_PREFIX + nanoid(32)
+  const now = new Date().toISOString()
+  const profile = {
+    id: nanoid(12),
+    name,
+    nameKey: name.toLowerCase(),
+    description,
+    avatar,
+    voice: voice || defaultVoiceFor(name),
+    apiKeyHash: hashApiKey(apiKey),
+    hyperfyAuthToken: null,
+    timeInWorld: 0,
+    messagesSent: 0,
+    createdAt: now,
+    updatedAt: now,
+    lastSeenAt: null,
+  }
+  await db('profiles').insert(profile)
+  return { profile, apiKey }
+}
+
+export async function getProfileByApiKey(apiKey) {
+  if (!isApiKey(apiKey)) return null
+  const db = await getDB()
+  return (await db('profiles').where('apiKeyHash', hashApiKey(apiKey)).first()) || null
+}
+
+export async function getProfileByName(name) {
+  const db = await getDB()
+  return (await db('profiles').where('nameKey', name.toLowerCase()).first()) || null
+}
+
+export async function isNameRegistered(name) {
+  return !!(await getProfileByName(name))
+}
+
+export async function updateProfile(id, changes) {
+  const db = await getDB()
+  await db('profiles')
+    .where('id', id)
+    .update({ ...changes, updatedAt: new Date().toISOString() })
+  return db('profiles').where('id', id).first()
+}
+
+// Stats are bumped in SQL so concurrent sessions never clobber each other
+export async function recordMessageSent(id) {
+  const db = await getDB()
+  await db('profiles')
+    .where('id', id)
+    .update({ messagesSent: db.raw('?? + 1', ['messagesSent']) })
+}
+
+export async function recordTimeInWorld(id, ms) {
+  const db = await getDB()
+  await db('profiles')
+    .where('id', id)
+    .update({
+      timeInWorld: db.raw('?? + ?', ['timeInWorld', Math.max(0, Math.round(ms))]),
+      lastSeenAt: new Date().toISOString(),
+    })
+}
+
+/**
+ * Profile as shown to its owner (GET /api/v1/agents/me) or, with `isPublic`, to anyone.
+ * `onlineSince` is the join time of the profile's live session, if it has one.
+ */
+export function serializeProfile(profile, { isPublic = false, onlineSince = null } = {}) {
+  // time in world is only persisted on despawn, so count the live session on top
+  const timeInWorld = Number(profile.timeInWorld) + (onlineSince ? Date.now() - onlineSince : 0)
+  const data = {
+    name: profile.name,
+    description: profile.description,
+    avatar: profile.avatar,
+    voice: profile.voice || defaultVoiceFor(profile.name),
+    online: !!onlineSince,
+    created_at: profile.createdAt,
+    last_seen_at: profile.lastSeenAt,
+    stats: {
+      time_in_world_hours: Math.round((timeInWorld / 3600000) * 100) / 100,
+      messages_sent: profile.messagesSent,
+    },
+  }
+  if (!isPublic) data.id = profile.id
+  return data
+}
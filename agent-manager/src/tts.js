@@ -0,0 +1,180 @@
+import { Worker } from 'node:worker_threads'
+import { SAMPLE_RATE as FORMANT_SAMPLE_RATE } from './formantSynth.js'
+
+const TTS_DEFAULT_PROVIDER = process.env.TTS_DEFAULT_PROVIDER || 'offline'
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || null
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+const OPENAI_TTS_MODEL = process.env.OPENAI_TTS_MODEL || 'gpt-4o-mini-tts'
+const TTS_TIMEOUT = 15000
+
+/**
+ * Text-to-speech providers. A provider looks like
+ *
+ *   {
+ *     id: 'offline',
+ *     voices: [{ id, name, description, ...settings }],
+ *     synthesize(text, voice) → Promise<{ pcm, sampleRate, channels, format }>
+ *   }
+ *
+ * `voice` is one of the provider's own catalog entries. The result is raw PCM in
+ * any format AgentConnection.playAudio accepts. Voice ids are global, so prefix
+ * them with something provider specific.
+ */
+const providers = new Map()
+
+export function registerTTSProvider(provider) {
+  providers.set(provider.id, provider)
+}
+
+// The formant synth takes a few hundred ms of CPU for a long line, which would stall
+// every socket if it ran here, so it gets a worker thread of its own
+let formantWorker = null
+const formantJobs = new Map() // job id → { resolve, reject }
+let nextFormantJob = 1
+
+function synthesizeFormant(text, voice) {
+  if (!formantWorker) {
+    const worker = new Worker(new URL('./formantWorker.js', import.meta.url))
+    worker.on('message', ({ id, pcm, error }) => {
+      const job = formantJobs.get(id)
+      formantJobs.delete(id)
+      if (error) job?.reject(new Error(error))
+      else job?.resolve(Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength))
+      if (!formantJobs.size) worker.unref()
+    })
+    // a crashed worker fails what it had and is replaced on the next line
+    const fail = err => {
+      if (formantWorker === worker) formantWorker = null
+      for (const job of formantJobs.values()) job.reject(err)
+      formantJobs.clear()
+    }
+    worker.on('error', fail)
+    worker.on('exit', code => fail(new Error(`Offline TTS worker exited (code ${code})`)))
+    formantWorker = worker
+  }
+  const id = nextFormantJob++
+  return new Promise((resolve, reject) => {
+    formantJobs.set(id, { resolve, reject })
+    // only keeps the process alive while it has lines to render
+    formantWorker.ref()
+    formantWorker.postMessage({ id, text, voice })
+  })
+}
+
+// Built in, needs no network. See formantSynth.js for what the settings mean.
+registerTTSProvider({
+  id: 'offline',
+  voices: [
+    {
+      id: 'warm_neutral_1', name: 'Warm Neutral', description: 'Relaxed mid-range voice',
+      pitch: 150, formantScale: 1.08, breathiness: 0.08, vibrato: 0.005,
+    },
+    {
+      id: 'deep_male_1', name: 'Deep', description: 'Low and slow',
+      pitch: 95, formantScale: 0.95, rate: 0.92, breathiness: 0.04, intonation: 0.8,
+    },
+    {
+      id: 'calm_male_1', name: 'Calm', description: 'Even, measured delivery',
+      pitch: 115, rate: 0.95, intonation: 0.7,
+    },
+    {
+      id: 'bright_female_1', name: 'Bright', description: 'High and lively',
+      pitch: 215, formantScale: 1.17, rate: 1.05, breathiness: 0.1, vibrato: 0.01, intonation: 1.2,
+    },
+    {
+      id: 'soft_female_1', name: 'Soft', description: 'Gentle and breathy',
+      pitch: 190, formantScale: 1.14, rate: 0.9, breathiness: 0.25, vibrato: 0.005, intonation: 0.9,
+    },
+    {
+      id: 'energetic_1', name: 'Energetic', description: 'Fast with big pitch swings',
+      pitch: 170, formantScale: 1.1, rate: 1.15, vibrato: 0.01, intonation: 1.5,
+    },
+    {
+      id: 'small_1', name: 'Small', description: 'Tiny, high voice',
+      pitch: 270, formantScale: 1.3, rate: 1.1, breathiness: 0.1, intonation: 1.3,
+    },
+    {
+      id: 'robot_1', name: 'Robot', description: 'Flat monotone',
+      pitch: 110, breathiness: 0, intonation: 0,
+    },
+  ],
+  async synthesize(text, voice) {
+    return { pcm: await synthesizeFormant(text, voice), sampleRate: FORMANT_SAMPLE_RATE, channels: 1, format: 's16' }
+  },
+})
+
+// Any OpenAI compatible /audio/speech endpoint, enabled by setting OPENAI_API_KEY
+if (OPENAI_API_KEY) {
+  registerTTSProvider({
+    id: 'openai',
+    voices: ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'].map(name => ({
+      id: `openai_${name}`,
+      name: name[0].toUpperCase() + name.slice(1),
+      description: `OpenAI ${name}`,
+      voice: name,
+    })),
+    async synthesize(text, voice) {
+      const res = await fetch(`${OPENAI_BASE_URL}/audio/speech`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: OPENAI_TTS_MODEL, voice: voice.voice, input: text, response_format: 'pcm' }),
+        signal: AbortSignal.timeout(TTS_TIMEOUT),
+      })
+      if (!res.ok) throw new Error(`OpenAI TTS failed (HTTP ${res.status})`)
+      // `pcm` is always 24kHz mono s16le
+      return { pcm: Buffer.from(await res.arrayBuffer()), sampleRate: 24000, channels: 1, format: 's16' }
+    },
+  })
+}
+
+function findVoice(id) {
+  for (const provider of providers.values()) {
+    const voice = provider.voices.find(v => v.id === id)
+    if (voice) return { provider, voice }
+  }
+  return null
+}
+
+/**
+ * Voice catalog as served by GET /api/voices.
+ */
+export function listVoices() {
+  const voices = []
+  for (const provider of providers.values()) {
+    for (const { id, name, description } of provider.voices) {
+      voices.push({ id, name, description, provider: provider.id })
+    }
+  }
+  return voices
+}
+
+export function isVoice(id) {
+  return typeof id === 'string' && !!findVoice(id)
+}
+
+/**
+ * Pick a voice for agents that didn't choose one. Stable per seed (the agent
+ * name) so an agent keeps sounding the same across sessions.
+ */
+export function defaultVoiceFor(seed, providerId = TTS_DEFAULT_PROVIDER) {
+  const voices = (providers.get(providerId) || providers.get('offline')).voices
+  let hash = 0
+  for (const char of String(seed)) hash = (hash * 31 + char.charCodeAt(0)) >>> 0
+  return voices[hash % voices.length].id
+}
+
+/**
+ * Synthesize `text` with the given voice id. If a remote provider fails we fall
+ * back to the offline engine rather than leave the agent mute.
+ */
+export async function synthesizeSpeech(text, voiceId) {
+  const found = findVoice(voiceId) || findVoice(defaultVoiceFor(voiceId))
+  try {
+    return await found.provider.synthesize(text, found.voice)
+  } catch (err) {
+    if (found.provider.id === 'offline') throw err
+    console.warn(`[tts] ${found.provider.id} failed, using offline voice: ${err.message}`)
+    const fallback = findVoice(defaultVoiceFor(voiceId, 'offline'))
+    return fallback.provider.synthesize(text, fallback.voice)
+  }
+}
@@ -0,0 +1,44 @@
+import fs from 'node:fs'
+
+const WORLDS_CONFIG = process.env.WORLDS_CONFIG || null
+const WORLD_ID = /^[a-z0-9][a-z0-9_-]{0,31}$/
+
+/**
+ * The Hyperfy worlds agents can be sent to, in config order. The first one is
+ * where agents spawn unless they ask for another.
+ *
+ * Without WORLDS_CONFIG there is a single world, `main`, made from `fallback`
+ * ({ url, capacity, stage }). Otherwise WORLDS_CONFIG names a JSON file like
+ *
+ *   { "worlds": [{ "id": "lobby", "name": "Lobby", "url": "ws://localhost:4000/ws", "capacity": 50 }, ...] }
+ *
+ * where `name`, `capacity` and `stage` (one speaker at a time) are optional and
+ * default to the id and the fallback's. Returns [{ id, name, url, capacity, stage }].
+ */
+export function loadWorlds(fallback) {
+  if (!WORLDS_CONFIG) return [{ id: 'main', name: 'Main', ...fallback }]
+  let config
+  try {
+    config = JSON.parse(fs.readFileSync(WORLDS_CONFIG, 'utf8'))
+  } catch (err) {
+    throw new Error(`Could not load WORLDS_CONFIG ${WORLDS_CONFIG}: ${err.message}`)
+  }
+  if (!Array.isArray(config.worlds) || !config.worlds.length) {
+    throw new Error(`WORLDS_CONFIG ${WORLDS_CONFIG} lists no worlds`)
+  }
+  const seen = new Set()
+  return config.worlds.map(({ id, name, url, capacity = fallback.capacity, stage = fallback.stage }) => {
+    if (typeof id !== 'string' || !WORLD_ID.test(id)) {
+      throw new Error(`Invalid world id ${JSON.stringify(id)}: use up to 32 lowercase letters, digits, - and _`)
+    }
+    if (seen.has(id)) throw new Error(`World ${id} is listed twice`)
+    seen.add(id)
+    try {
+      new URL(url)
+    } catch {
+      throw new Error(`World ${id} needs a url (its Hyperfy WebSocket, e.g. ws://localhost:4000/ws)`)
+    }
+    if (!Number.isInteger(capacity) || capacity < 1) throw new Error(`World ${id} capacity must be a positive integer`)
+    return { id, name: typeof name === 'string' && name ? name : id, url, capacity, stage: !!stage }
+  })
+}
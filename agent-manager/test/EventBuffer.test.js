@@ -0,0 +1,77 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventBuffer } from '../src/EventBuffer.js'
+
+const types = events => events.map(e => e.type)
+
+test('reads are repeated until acked', () => {
+  const buffer = new EventBuffer()
+  buffer.push({ type: 'a' })
+  buffer.push({ type: 'b' })
+  const first = buffer.read()
+  assert.deepEqual(types(first.events), ['a', 'b'])
+  assert.deepEqual(first.events.map(e => e.seq), [1, 2])
+  assert.equal(first.nextCursor, 2)
+  assert.equal(first.events[0]._ts, undefined)
+  // the response got lost: the same events come again
+  assert.deepEqual(types(buffer.read().events), ['a', 'b'])
+  buffer.ack(first.nextCursor)
+  buffer.push({ type: 'c' })
+  assert.deepEqual(types(buffer.read().events), ['c'])
+  assert.equal(buffer.cursor, 2)
+  assert.equal(buffer.length, 1)
+})
+
+test('a reader can resume from any cursor it saw', () => {
+  const buffer = new EventBuffer()
+  for (const type of ['a', 'b', 'c', 'd']) buffer.push({ type })
+  buffer.ack(4)
+  assert.deepEqual(types(buffer.read(2).events), ['c', 'd'])
+  // a cursor from the future reads nothing and stays put
+  assert.deepEqual(buffer.read(99), { events: [], nextCursor: 4, dropped: 0 })
+  buffer.ack(99)
+  buffer.push({ type: 'e' })
+  assert.deepEqual(types(buffer.read().events), ['e'])
+})
+
+test('events that fall off the ring before they are read count as dropped', () => {
+  const buffer = new EventBuffer(3)
+  for (let i = 1; i <= 5; i++) buffer.push({ type: `e${i}` })
+  const { events, dropped } = buffer.read()
+  assert.deepEqual(types(events), ['e3', 'e4', 'e5'])
+  assert.equal(dropped, 2)
+  buffer.ack(5)
+  assert.equal(buffer.read().dropped, 0)
+})
+
+test('events with an id already held are ignored', () => {
+  const buffer = new EventBuffer()
+  buffer.push({ type: 'chat', id: 'm1' })
+  buffer.push({ type: 'chat', id: 'm1' })
+  buffer.push({ type: 'chat', id: 'm2' })
+  assert.deepEqual(buffer.read().events.map(e => e.seq), [1, 2])
+})
+
+test('a subscriber gets events as they come and acks them', () => {
+  const buffer = new EventBuffer()
+  buffer.push({ type: 'before' })
+  const received = []
+  const unsubscribe = buffer.subscribe(event => received.push(event))
+  buffer.push({ type: 'live' })
+  assert.deepEqual(types(received), ['live'])
+  assert.equal(buffer.cursor, 2)
+  unsubscribe()
+  buffer.push({ type: 'after' })
+  assert.deepEqual(types(received), ['live'])
+  assert.deepEqual(types(buffer.read().events), ['after'])
+})
+
+test('sinceMs filters by time for old clients', t => {
+  let now = 1000
+  t.mock.method(Date, 'now', () => now)
+  const buffer = new EventBuffer()
+  buffer.push({ type: 'old' })
+  now = 2000
+  buffer.push({ type: 'new' })
+  assert.deepEqual(types(buffer.read(0, 1500).events), ['new'])
+})
@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { RateLimiter } from '../src/RateLimiter.js'
+
+const limits = {
+  api: { limit: 3, windowMs: 60_000 },
+  speech: { limit: 1, windowMs: 10_000 },
+}
+
+test('a bucket allows a burst of its limit, then says when to retry', t => {
+  let now = 0
+  t.mock.method(Date, 'now', () => now)
+  const limiter = new RateLimiter(limits)
+  for (let i = 0; i < 3; i++) assert.equal(limiter.take('agent', ['api']), null)
+  assert.deepEqual(limiter.take('agent', ['api']), { action: 'api', retryAfter: 20 })
+  // tokens come back evenly over the window, one every 20s
+  now = 19_500
+  assert.deepEqual(limiter.take('agent', ['api']), { action: 'api', retryAfter: 1 })
+  now = 20_000
+  assert.equal(limiter.take('agent', ['api']), null)
+})
+
+test('several actions are taken all or nothing', t => {
+  t.mock.method(Date, 'now', () => 0)
+  const limiter = new RateLimiter(limits)
+  assert.equal(limiter.take('agent', ['api', 'speech']), null)
+  // speech is empty, so api must not be charged either
+  assert.equal(limiter.take('agent', ['api', 'speech']).action, 'speech')
+  assert.equal(limiter.take('agent', ['api']), null)
+  assert.equal(limiter.take('agent', ['api']), null)
+  assert.equal(limiter.take('agent', ['api']).action, 'api')
+})
+
+test('callers and unknown actions are independent', t => {
+  t.mock.method(Date, 'now', () => 0)
+  const limiter = new RateLimiter(limits)
+  assert.equal(limiter.take('a', ['speech']), null)
+  assert.equal(limiter.take('b', ['speech']), null)
+  assert.equal(limiter.take('a', ['speech']).action, 'speech')
+  for (let i = 0; i < 10; i++) assert.equal(limiter.take('a', ['teleport']), null)
+})
+
+test('prune forgets only buckets that have refilled', t => {
+  let now = 0
+  t.mock.method(Date, 'now', () => now)
+  const limiter = new RateLimiter(limits)
+  limiter.take('a', ['api'])
+  limiter.take('b', ['speech'])
+  now = 10_000
+  limiter.prune()
+  // speech refilled in 10s and was dropped, api still owes a token
+  assert.deepEqual([...limiter._buckets.keys()], ['a:api'])
+})
@@ -0,0 +1,94 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SimulatedWorld } from '../src/SimulatedWorld.js'
+import { readPacket, writePacket } from '../src/packets.js'
+
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+// A bare client: joins, keeps every packet it gets, sends packets by name
+async function join(world, name, authToken = null) {
+  const params = new URLSearchParams({ name })
+  if (authToken) params.set('authToken', authToken)
+  const socket = world.connect(params)
+  const client = { socket, packets: [], closed: false }
+  socket.onmessage = ({ data }) => client.packets.push(readPacket(data))
+  socket.onclose = () => (client.closed = true)
+  client.send = (name, data) => socket.send(writePacket(name, data))
+  client.received = method => client.packets.filter(([m]) => m === method).map(([, data]) => data)
+  await flush()
+  await flush()
+  client.id = client.received('onSnapshot')[0]?.id
+  return client
+}
+
+// Walk forward, turn left mid-way, run, jump, stop
+async function walkRoute() {
+  const world = new SimulatedWorld({ manual: true })
+  const ann = await join(world, 'Ann')
+  const bob = await join(world, 'Bob')
+  ann.send('agentInput', { axis: [0, 0, -1], run: false, jump: false, yaw: null })
+  await flush()
+  world.step(20)
+  ann.send('agentInput', { axis: [0, 0, -1], run: true, yaw: Math.PI / 2 })
+  await flush()
+  world.step(7)
+  bob.send('agentInput', { axis: [1, 0, 0], jump: true })
+  await flush()
+  world.step(13)
+  ann.send('agentInput', { axis: [0, 0, 0], run: false, yaw: null })
+  bob.send('agentInput', { axis: [0, 0, 0] })
+  await flush()
+  world.step(10)
+  return { world, ann, bob }
+}
+
+test('the same inputs give the same positions', async () => {
+  const first = await walkRoute()
+  const second = await walkRoute()
+  for (const id of ['sim-1', 'sim-2']) {
+    assert.deepEqual(second.world.getPlayer(id).position, first.world.getPlayer(id).position)
+    assert.deepEqual(second.world.getPlayer(id).quaternion, first.world.getPlayer(id).quaternion)
+  }
+  assert.equal(first.world.time, 50 * 50)
+})
+
+test('agents walk at 3 m/s, run at 6 m/s and turn with the yaw', async () => {
+  const { world } = await walkRoute()
+  const [x, y, z] = world.getPlayer('sim-1').position
+  // 1s walking forward (-Z), then 1s running at yaw π/2, which is forward → -X
+  assert.ok(Math.abs(x - -6) < 1e-9, `x = ${x}`)
+  assert.equal(y, 0)
+  assert.ok(Math.abs(z - -3) < 1e-9, `z = ${z}`)
+  // Bob landed again after his jump
+  assert.equal(world.getPlayer('sim-2').position[1], 0)
+})
+
+test('moves are broadcast to everyone, chat to everyone but the sender', async () => {
+  const { ann, bob } = await walkRoute()
+  assert.ok(bob.received('onEntityModified').some(change => change.id === ann.id && change.p))
+  assert.ok(ann.received('onEntityModified').some(change => change.id === ann.id && change.p))
+  ann.send('chatAdded', { id: 'c1', from: 'Ann', fromId: ann.id, body: 'hi Bob' })
+  await flush()
+  await flush()
+  assert.deepEqual(bob.received('onChatAdded').map(msg => msg.body), ['hi Bob'])
+  assert.deepEqual(ann.received('onChatAdded'), [])
+})
+
+test('paths are straight lines from where the agent stands', async () => {
+  const world = new SimulatedWorld({ manual: true })
+  const ann = await join(world, 'Ann')
+  ann.send('agentPath', { requestId: 'r1', target: [3, null, 4] })
+  await flush()
+  await flush()
+  assert.deepEqual(ann.received('onAgentPath'), [{ requestId: 'r1', path: [[0, 0, 0], [3, 0, 4]], length: 5 }])
+})
+
+test('a second connection with the same auth token is kicked', async () => {
+  const world = new SimulatedWorld({ manual: true })
+  const ann = await join(world, 'Ann')
+  const token = ann.received('onSnapshot')[0].authToken
+  const again = await join(world, 'Ann', token)
+  await flush()
+  assert.deepEqual(again.received('onKick'), ['duplicate_user'])
+  assert.ok(again.closed)
+})
@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SpatialGrid } from '../src/SpatialGrid.js'
+
+test('query finds items within the radius, closest first', () => {
+  const grid = new SpatialGrid(10)
+  grid.set('a', [3, 0, 4], 'A')
+  grid.set('b', [1, 5, 0])
+  grid.set('c', [25, 0, 0])
+  grid.set('d', [-9, 0, -9])
+  assert.deepEqual(grid.query(0, 0, 6).map(hit => [hit.id, hit.distance]), [['b', 1], ['a', 5]])
+  assert.equal(grid.query(0, 0, 6)[1].data, 'A')
+  // height doesn't count
+  assert.equal(grid.query(0, 0, 1)[0].id, 'b')
+  assert.deepEqual(grid.query(0, 0, 100).map(hit => hit.id), ['b', 'a', 'd', 'c'])
+})
+
+test('items move between cells and can be removed', () => {
+  const grid = new SpatialGrid(10)
+  grid.set('a', [0, 0, 0])
+  grid.set('a', [55, 0, 55])
+  assert.deepEqual(grid.query(0, 0, 5), [])
+  assert.equal(grid.query(55, 55, 1)[0].id, 'a')
+  assert.equal(grid.size, 1)
+  grid.remove('a')
+  assert.equal(grid.get('a'), null)
+  assert.deepEqual(grid.query(55, 55, 1), [])
+  assert.equal(grid._cells.size, 0)
+})
+
+test('who is in range has hysteresis at the edge', () => {
+  const grid = new SpatialGrid(10)
+  grid.set('a', [5.5, 0, 0])
+  // not in range yet: has to come within the radius
+  let inside = new Set(grid.queryInRange(0, 0, 5, 1, new Set()).map(hit => hit.id))
+  assert.deepEqual([...inside], [])
+  grid.set('a', [4.9, 0, 0])
+  inside = new Set(grid.queryInRange(0, 0, 5, 1, inside).map(hit => hit.id))
+  assert.deepEqual([...inside], ['a'])
+  // drifting just past the radius keeps it in range...
+  grid.set('a', [5.8, 0, 0])
+  inside = new Set(grid.queryInRange(0, 0, 5, 1, inside).map(hit => hit.id))
+  assert.deepEqual([...inside], ['a'])
+  // ...until it is past radius + hysteresis
+  grid.set('a', [6.1, 0, 0])
+  inside = new Set(grid.queryInRange(0, 0, 5, 1, inside).map(hit => hit.id))
+  assert.deepEqual([...inside], [])
+})
@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SpawnQueue } from '../src/SpawnQueue.js'
+
+test('entries leave in the order they joined', () => {
+  const queue = new SpawnQueue()
+  assert.equal(queue.push({ id: 'a' }), 1)
+  assert.equal(queue.push({ id: 'b' }), 2)
+  assert.equal(queue.push({ id: 'c' }), 3)
+  assert.equal(queue.shift().id, 'a')
+  assert.deepEqual([...queue].map(e => e.id), ['b', 'c'])
+  assert.equal(queue.length, 2)
+})
+
+test('removing an entry moves everyone behind it up', () => {
+  const queue = new SpawnQueue()
+  for (const id of ['a', 'b', 'c']) queue.push({ id })
+  assert.equal(queue.remove('b').id, 'b')
+  assert.equal(queue.remove('b'), null)
+  assert.equal(queue.position('a'), 1)
+  assert.equal(queue.position('c'), 2)
+  assert.equal(queue.position('b'), null)
+})
+
+test('entries can be found by session token and profile', () => {
+  const queue = new SpawnQueue()
+  queue.push({ id: 'a', token: 'tok-a', profileId: 'p1' })
+  queue.push({ id: 'b' })
+  assert.equal(queue.findByToken('tok-a').id, 'a')
+  assert.equal(queue.findByToken(undefined), null)
+  assert.ok(queue.hasProfile('p1'))
+  assert.ok(!queue.hasProfile('p2'))
+  queue.clear()
+  assert.equal(queue.length, 0)
+  assert.equal(queue.shift(), null)
+})
+
+test('wait estimates follow recorded session lengths', () => {
+  const queue = new SpawnQueue()
+  // no samples yet: sessions are assumed to last 10 minutes
+  assert.equal(queue.estimateWaitMinutes(1, 1), 10)
+  assert.equal(queue.estimateWaitMinutes(1, 100), 1)
+  queue.recordSession(60_000)
+  queue.recordSession(180_000)
+  // a 2 minute average over 2 slots frees one every minute
+  assert.equal(queue.estimateWaitMinutes(3, 2), 3)
+})
+
+test('each world has its own line', () => {
+  const queue = new SpawnQueue()
+  queue.push({ id: 'a', world: 'lobby' })
+  queue.push({ id: 'b', world: 'stage' })
+  queue.push({ id: 'c', world: 'lobby' })
+  assert.equal(queue.position('a'), 1)
+  assert.equal(queue.position('b'), 1)
+  assert.equal(queue.position('c'), 2)
+  assert.equal(queue.waitingFor('lobby'), 2)
+  assert.equal(queue.waitingFor('mars'), 0)
+  assert.equal(queue.get('b').world, 'stage')
+  assert.equal(queue.get('z'), null)
+})
@@ -0,0 +1,93 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SpeechQueue } from '../src/SpeechQueue.js'
+
+// A line that plays until finish() (or stop()) is called, logging what happens to it
+function line(log, id, agentId, estimatedMs = 1000) {
+  const item = {
+    id,
+    agentId,
+    estimatedMs,
+    start(done) {
+      log.push(`start ${id}`)
+      item.finish = () => {
+        log.push(`end ${id}`)
+        done()
+      }
+    },
+    stop() {
+      log.push(`stop ${id}`)
+      item.finish()
+    },
+  }
+  return item
+}
+
+test("an agent's lines play one after another", t => {
+  t.mock.method(Date, 'now', () => 0)
+  const log = []
+  const queue = new SpeechQueue()
+  const a1 = line(log, 'a1', 'ann', 2000)
+  const a2 = line(log, 'a2', 'ann', 500)
+  const a3 = line(log, 'a3', 'ann')
+  assert.deepEqual(queue.enqueue(a1), { position: null, estimatedStartMs: 0 })
+  assert.deepEqual(queue.enqueue(a2), { position: 1, estimatedStartMs: 2000 })
+  assert.deepEqual(queue.enqueue(a3), { position: 2, estimatedStartMs: 2500 })
+  assert.ok(queue.isBusy('ann'))
+  a1.finish()
+  a2.finish()
+  a3.finish()
+  assert.deepEqual(log, ['start a1', 'end a1', 'start a2', 'end a2', 'start a3', 'end a3'])
+  assert.ok(!queue.isBusy('ann'))
+})
+
+test('agents talk over each other, unless in stage mode', () => {
+  const log = []
+  const queue = new SpeechQueue()
+  queue.enqueue(line(log, 'a1', 'ann'))
+  queue.enqueue(line(log, 'b1', 'bob'))
+  assert.deepEqual(log, ['start a1', 'start b1'])
+
+  const stageLog = []
+  const stage = new SpeechQueue({ stage: true })
+  const a1 = line(stageLog, 'a1', 'ann')
+  stage.enqueue(a1)
+  assert.equal(stage.enqueue(line(stageLog, 'b1', 'bob')).position, 1)
+  assert.ok(stage.isBusy('bob'))
+  // bob can't interrupt ann's line
+  assert.ok(!stage.interrupt('bob'))
+  a1.finish()
+  assert.deepEqual(stageLog, ['start a1', 'end a1', 'start b1'])
+})
+
+test('lines beyond maxPerAgent are refused', () => {
+  const queue = new SpeechQueue({ maxPerAgent: 2 })
+  assert.ok(queue.enqueue(line([], 'a1', 'ann')))
+  assert.ok(queue.enqueue(line([], 'a2', 'ann')))
+  assert.ok(queue.enqueue(line([], 'a3', 'ann')))
+  // a1 is playing, a2 and a3 wait
+  assert.equal(queue.pendingCount('ann'), 2)
+  assert.equal(queue.enqueue(line([], 'a4', 'ann')), null)
+})
+
+test('cancel drops waiting lines, interrupt and remove stop the current one', () => {
+  const log = []
+  const queue = new SpeechQueue({ stage: true })
+  queue.enqueue(line(log, 'a1', 'ann'))
+  queue.enqueue(line(log, 'b1', 'bob'))
+  queue.enqueue(line(log, 'a2', 'ann'))
+  assert.deepEqual(queue.cancel('ann').map(i => i.id), ['a2'])
+  assert.ok(queue.interrupt('ann'))
+  queue.remove('bob')
+  assert.deepEqual(log, ['start a1', 'stop a1', 'end a1', 'start b1', 'stop b1', 'end b1'])
+  assert.ok(!queue.isBusy('ann'))
+})
+
+test('a line whose start throws is skipped', t => {
+  t.mock.method(console, 'error', () => {})
+  const log = []
+  const queue = new SpeechQueue()
+  queue.enqueue({ id: 'bad', agentId: 'ann', estimatedMs: 0, start() { throw new Error('no audio') }, stop() {} })
+  queue.enqueue(line(log, 'a2', 'ann'))
+  assert.deepEqual(log, ['start a2'])
+})
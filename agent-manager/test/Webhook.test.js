@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createHmac } from 'node:crypto'
+
+// the test endpoint is on localhost, which webhooks normally refuse
+process.env.WEBHOOK_ALLOW_PRIVATE = 'true'
+const { Webhook } = await import('../src/Webhook.js')
+// a second copy of the module that reads the environment without the override
+delete process.env.WEBHOOK_ALLOW_PRIVATE
+const guarded = await import('../src/Webhook.js?guarded')
+
+const SECRET = 'lobby_whsec_0123456789abcdef'
+let server
+let url
+let respond = () => 200
+const requests = []
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => (body += chunk))
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body })
+      const status = respond(requests.length)
+      res.writeHead(status, status === 302 ? { Location: `${url}/elsewhere` } : {})
+      res.end()
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  url = `http://127.0.0.1:${server.address().port}/hook`
+})
+
+after(() => server.close())
+
+async function until(check, timeoutMs = 5000) {
+  const start = Date.now()
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error('timed out')
+    await new Promise(resolve => setTimeout(resolve, 20))
+  }
+}
+
+function reset(status = () => 200) {
+  requests.length = 0
+  respond = status
+}
+
+test('events are batched, in order, and signed', async () => {
+  reset()
+  const webhook = new Webhook({ url, secret: SECRET, agentId: 'agent-1' })
+  webhook.push({ type: 'chat', seq: 1 })
+  webhook.push({ type: 'proximity', seq: 2 })
+  await until(() => webhook.delivered === 2)
+  assert.equal(requests.length, 1)
+  const [{ headers, body }] = requests
+  const payload = JSON.parse(body)
+  assert.equal(payload.agent_id, 'agent-1')
+  assert.deepEqual(payload.events.map(e => e.seq), [1, 2])
+  const expected = 'sha256=' + createHmac('sha256', SECRET).update(`${headers['x-lobby-timestamp']}.${body}`).digest('hex')
+  assert.equal(headers['x-lobby-signature'], expected)
+  assert.ok(webhook.status().lastDeliveryAt)
+})
+
+test('only the subscribed event types are sent', async () => {
+  reset()
+  const webhook = new Webhook({ url, secret: SECRET, agentId: 'agent-1', events: ['chat'] })
+  webhook.push({ type: 'proximity', seq: 1 })
+  webhook.push({ type: 'chat', seq: 2 })
+  webhook.flush()
+  await until(() => webhook.delivered === 1)
+  assert.deepEqual(JSON.parse(requests[0].body).events.map(e => e.type), ['chat'])
+})
+
+test('server errors are retried with the same delivery id', async () => {
+  reset(n => (n === 1 ? 503 : 200))
+  const webhook = new Webhook({ url, secret: SECRET, agentId: 'agent-1' })
+  webhook.push({ type: 'chat', seq: 1 })
+  webhook.flush()
+  await until(() => webhook.delivered === 1)
+  assert.equal(requests.length, 2)
+  assert.equal(JSON.parse(requests[0].body).delivery_id, JSON.parse(requests[1].body).delivery_id)
+  assert.equal(webhook.deadLetters, 0)
+})
+
+test('client errors and redirects are dead-lettered without retrying', async () => {
+  for (const status of [404, 302]) {
+    reset(() => status)
+    const webhook = new Webhook({ url, secret: SECRET, agentId: 'agent-1' })
+    webhook.push({ type: 'chat', seq: 1 })
+    webhook.push({ type: 'chat', seq: 2 })
+    webhook.flush()
+    await until(() => webhook.deadLetters === 2)
+    assert.equal(requests.length, 1)
+    assert.equal(webhook.status().lastError, `HTTP ${status}`)
+    assert.equal(webhook.delivered, 0)
+  }
+})
+
+test('private and loopback hosts are refused', async () => {
+  for (const host of ['http://127.0.0.1/', 'http://localhost/', 'http://[::1]/', 'http://[::ffff:10.0.0.1]/', 'http://169.254.169.254/', 'http://192.168.1.20/']) {
+    assert.equal(await guarded.checkWebhookHost(host), 'webhook.url must point to a public host', host)
+  }
+  assert.equal(await guarded.checkWebhookHost('https://93.184.216.34/hook'), null)
+  // and at delivery time too, so nothing reaches the test server
+  reset()
+  const webhook = new guarded.Webhook({ url, secret: SECRET, agentId: 'agent-1' })
+  webhook.push({ type: 'chat', seq: 1 })
+  webhook.flush()
+  await until(() => webhook.deadLetters === 1)
+  assert.equal(requests.length, 0)
+})
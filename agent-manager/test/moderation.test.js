@@ -0,0 +1,73 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+
+process.env.MODERATION_CONFIG = fileURLToPath(new URL('../moderation.example.json', import.meta.url))
+delete process.env.MODERATION_HOOK_URL
+const { moderateText, registerModerationRule, forgetSpeaker } = await import('../src/moderation.js')
+
+let speakers = 0
+// every test speaks as someone new, so the spam rule's history doesn't carry over
+const speaker = () => ({ agentId: `agent-${++speakers}`, name: 'Ann' })
+
+test('clean lines are allowed as they are', async () => {
+  assert.deepEqual(await moderateText('Hello everyone!', speaker()), { action: 'allow', text: 'Hello everyone!', results: [] })
+})
+
+test('listed words are masked whole, not inside other words', async () => {
+  const verdict = await moderateText('that badword again, not badwords', speaker())
+  assert.equal(verdict.action, 'mask')
+  assert.equal(verdict.text, 'that ******* again, not badwords')
+  assert.deepEqual(verdict.results, [{ rule: 'word_list', action: 'mask', reason: 'Contains a blocked word' }])
+})
+
+test('patterns block or mask with their own reason', async () => {
+  const blocked = await moderateText('buy followers here', speaker())
+  assert.equal(blocked.action, 'block')
+  assert.equal(blocked.results[0].reason, 'Advertising')
+  const masked = await moderateText('call 555-123-4567', speaker())
+  assert.equal(masked.text, 'call ************')
+})
+
+test('commands pasted as text get a warning but are said', async () => {
+  const verdict = await moderateText('{"type": "move", "direction": "left"}', speaker())
+  assert.equal(verdict.action, 'warn')
+  assert.equal(verdict.text, '{"type": "move", "direction": "left"}')
+  assert.equal(verdict.results[0].rule, 'command_like')
+})
+
+test('spam: repeats, links and stretched characters', async () => {
+  const ann = speaker()
+  assert.equal((await moderateText('Hi there', ann)).action, 'allow')
+  assert.equal((await moderateText('hi THERE!', ann)).action, 'allow')
+  const repeat = await moderateText('Hi there', ann)
+  assert.deepEqual(repeat.results, [{ rule: 'spam', action: 'block', reason: 'Repeated message' }])
+  forgetSpeaker(ann.agentId)
+  assert.equal((await moderateText('Hi there', ann)).action, 'allow')
+
+  const links = await moderateText('http://a.example http://b.example http://c.example', speaker())
+  assert.equal(links.results[0].reason, 'Too many links')
+  const stretched = await moderateText('sooooooooooooo good', speaker())
+  assert.equal(stretched.action, 'mask')
+  assert.equal(stretched.text, 'sooo good')
+})
+
+test('registered rules run in order and a failing one is skipped', async t => {
+  t.mock.method(console, 'error', () => {})
+  registerModerationRule({
+    id: 'flaky',
+    check() {
+      throw new Error('classifier down')
+    },
+  })
+  registerModerationRule({
+    id: 'shouting',
+    async check(text) {
+      return text === text.toUpperCase() && /[A-Z]/.test(text) ? { action: 'mask', reason: 'Shouting', text: text.toLowerCase() } : null
+    },
+  })
+  const verdict = await moderateText('STOP THAT', speaker())
+  assert.equal(verdict.text, 'stop that')
+  assert.deepEqual(verdict.results, [{ rule: 'shouting', action: 'mask', reason: 'Shouting' }])
+  assert.equal(console.error.mock.callCount(), 1)
+})
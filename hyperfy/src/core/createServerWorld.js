@@ -7,6 +7,7 @@ import { ServerLoader } from './systems/ServerLoader'
 import { ServerEnvironment } from './systems/ServerEnvironment'
 import { ServerMonitor } from './systems/ServerMonitor'
 import { ServerAI } from './systems/ServerAI'
+import { ServerAgents } from './systems/ServerAgents'
 import { EVM } from './systems/EVMServer'
 
 export function createServerWorld() {
@@ -18,6 +19,7 @@ export function createServerWorld() {
   world.register('environment', ServerEnvironment)
   world.register('monitor', ServerMonitor)
   world.register('ai', ServerAI)
+  world.register('agents', ServerAgents)
   world.register('evm', EVM)
 
   return world
@@ -11,6 +11,7 @@ import { Emotes } from '../extras/playerEmotes'
 import { ControlPriorities } from '../extras/ControlPriorities'
 import { isBoolean, isNumber } from 'lodash-es'
 import { hasRank, Ranks } from '../extras/ranks'
+import { Modes } from '../extras/playerModes'
 
 const UP = new THREE.Vector3(0, 1, 0)
 const DOWN = new THREE.Vector3(0, -1, 0)
@@ -44,28 +45,6 @@ const m3 = new THREE.Matrix4()
 const gazeTiltAngle = 10 * DEG2RAD
 const gazeTiltAxis = new THREE.Vector3(1, 0, 0) // X-axis for pitch
 
-// TODO: de-dup createVRMFactory.js has a copy
-const Modes = {
-  IDLE: 0,
-  WALK: 1,
-  RUN: 2,
-  JUMP: 3,
-  FALL: 4,
-  FLY: 5,
-  TALK: 6,
-  FLIP: 7,
-  BACKFLIP: 8,
-  SIDEFLIP_LEFT: 9,
-  SIDEFLIP_RIGHT: 10,
-  STRAFE_JUMP_LEFT: 11,
-  STRAFE_JUMP_RIGHT: 12,
-  GRINDING: 13,
-  CLIMBING: 14,
-  LEDGE_HANGING: 15,
-  AIR_DIVING: 16,
-  WALL_SLIDING: 17,
-}
-
 export class PlayerLocal extends Entity {
   constructor(world, data, local) {
     super(world, data, local)
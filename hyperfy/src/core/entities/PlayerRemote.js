@@ -6,6 +6,7 @@ import { LerpVector3 } from '../extras/LerpVector3'
 import { hasRank, Ranks } from '../extras/ranks'
 import { BufferedLerpVector3 } from '../extras/BufferedLerpVector3'
 import { BufferedLerpQuaternion } from '../extras/BufferedLerpQuaternion'
+import { Modes } from '../extras/playerModes'
 
 let capsuleGeometry
 {
@@ -86,6 +87,7 @@ export class PlayerRemote extends Entity {
     this.teleport = 0
 
     this.mode = 0
+    this.lipSync = null // viseme weights while streamed audio plays from us (see ClientAudio)
     this.axis = new THREE.Vector3()
     this.gaze = new THREE.Vector3()
 
@@ -143,7 +145,10 @@ export class PlayerRemote extends Entity {
     this.avatar?.setEmote(this.data.emote)
     // pass speaking state to animation system for blending
     this.avatar?.instance?.setSpeaking(this.speaking)
-    this.avatar?.instance?.setLocomotion(this.mode, this.axis, this.gaze)
+    this.avatar?.instance?.setVisemes(this.lipSync)
+    // stand and talk while our audio plays, like PlayerLocal does when speaking
+    const mode = this.mode === Modes.IDLE && this.lipSync ? Modes.TALK : this.mode
+    this.avatar?.instance?.setLocomotion(mode, this.axis, this.gaze)
   }
 
   lateUpdate(delta) {
@@ -182,6 +187,10 @@ export class PlayerRemote extends Entity {
     this.nametag.label = speaking ? `» ${name} «` : name
   }
 
+  setLipSync(weights) {
+    this.lipSync = weights
+  }
+
   modify(data) {
     let avatarChanged
     if (data.hasOwnProperty('t')) {
@@ -0,0 +1,65 @@
+// VRM mouth shapes ordered from darkest to brightest sounding vowel (u, o, a, e, i)
+export const Visemes = ['ou', 'oh', 'aa', 'ee', 'ih']
+
+const FRAME_DURATION = 0.02 // seconds of audio per lip sync frame
+const ANCHORS = [500, 750, 1100, 1600, 2300] // rough brightness (Hz) each viseme sits at
+const PRE_EMPHASIS = 0.9 // high-pass applied before measuring brightness
+const SPREAD = 0.6 // octaves a viseme still blends into its neighbours
+const SILENCE_DB = -45 // mouth closed
+const LOUD_DB = -15 // mouth fully open
+
+/**
+ * Cheap lip sync from raw PCM, no FFT needed.
+ *
+ * For each frame, loudness sets how open the mouth is and the ratio of the
+ * signal's first difference to the signal itself gives a brightness estimate
+ * (exact for a sine: f = sr / π · asin(√ratio / 2)). Dark sounds lean towards
+ * `ou`/`oh`, bright ones towards `ee`/`ih`.
+ *
+ * Returns [{ time, weights: { aa, ih, ou, ee, oh } }] with `time` in seconds from
+ * the start of `samples`.
+ */
+export function analyzeVisemes(samples, sampleRate) {
+  const frameSize = Math.max(1, Math.round(sampleRate * FRAME_DURATION))
+  const frames = []
+  for (let start = 0; start < samples.length; start += frameSize) {
+    const end = Math.min(start + frameSize, samples.length)
+    let energy = 0
+    let emphasisEnergy = 0
+    let diffEnergy = 0
+    let prevSample = start > 0 ? samples[start - 1] : samples[start]
+    let prev = 0
+    for (let i = start; i < end; i++) {
+      energy += samples[i] * samples[i]
+      // pre-emphasis undoes the voice's natural high frequency roll-off before judging brightness
+      const x = samples[i] - PRE_EMPHASIS * prevSample
+      prevSample = samples[i]
+      emphasisEnergy += x * x
+      if (i > start) diffEnergy += (x - prev) * (x - prev)
+      prev = x
+    }
+    const count = end - start
+    const rms = Math.sqrt(energy / count)
+    const db = 20 * Math.log10(rms + 1e-9)
+    const open = Math.min(1, Math.max(0, (db - SILENCE_DB) / (LOUD_DB - SILENCE_DB)))
+    const weights = { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 }
+    if (open > 0) {
+      const ratio = emphasisEnergy > 0 ? diffEnergy / emphasisEnergy : 0
+      const brightness = (sampleRate / Math.PI) * Math.asin(Math.min(1, Math.sqrt(ratio) / 2))
+      let total = 0
+      const memberships = ANCHORS.map(anchor => {
+        const distance = Math.abs(Math.log2(Math.max(brightness, 1) / anchor))
+        const membership = Math.max(0, 1 - distance / SPREAD)
+        total += membership
+        return membership
+      })
+      // beyond either end of the scale just use the closest viseme
+      if (!total) memberships[brightness < ANCHORS[0] ? 0 : ANCHORS.length - 1] = total = 1
+      for (let v = 0; v < Visemes.length; v++) {
+        weights[Visemes[v]] = (memberships[v] / total) * open
+      }
+    }
+    frames.push({ time: start / sampleRate, weights })
+  }
+  return frames
+}
@@ -5,6 +5,7 @@ import { DEG2RAD } from './general'
 import { getTrianglesFromGeometry } from './getTrianglesFromGeometry'
 import { getTextureBytesFromMaterial } from './getTextureBytesFromMaterial'
 import { Emotes } from './playerEmotes'
+import { Modes } from './playerModes'
 
 const v1 = new THREE.Vector3()
 const v2 = new THREE.Vector3()
@@ -40,29 +41,6 @@ const UpAxis = {
   NEG_Z: new THREE.Vector3(0, 0, -1),
 }
 
-// TODO: de-dup PlayerLocal.js has a copy
-const Modes = {
-  IDLE: 0,
-  WALK: 1,
-  RUN: 2,
-  JUMP: 3,
-  FALL: 4,
-  FLY: 5,
-  TALK: 6,
-  FLIP: 7,
-  BACKFLIP: 8,
-  // [STRAFE FLIP EMOTES] New strafe flip modes:
-  SIDEFLIP_LEFT: 9,
-  SIDEFLIP_RIGHT: 10,
-  STRAFE_JUMP_LEFT: 11,
-  STRAFE_JUMP_RIGHT: 12,
-  GRINDING: 13,
-  CLIMBING: 14,
-  LEDGE_HANGING: 15,
-  AIR_DIVING: 16,
-  WALL_SLIDING: 17,
-}
-
 export function createVRMFactory(glb, setupMaterial) {
   // we'll update matrix ourselves
   glb.scene.matrixAutoUpdate = false
@@ -293,6 +271,10 @@ export function createVRMFactory(glb, setupMaterial) {
     let visemeTimer = 0
     let visemeSwitchInterval = 0.18 + Math.random() * 0.12 // 180-300ms
     let mouthTime = 0
+    // lip sync from analysed audio (see setVisemes), overrides the random mouth while set
+    let visemeTargets = null
+    const visemeWeights = { aa: 0, ih: 0, oh: 0, ee: 0, ou: 0 }
+    const VISEME_ATTACK = 30 // how fast the mouth follows the audio, per second
 
     function setExpression(name, weight) {
       if (!expressionsEnabled) return
@@ -343,6 +325,14 @@ export function createVRMFactory(glb, setupMaterial) {
 
     function updateMouth(delta, isTalking) {
       if (!expressionsEnabled) return
+      if (visemeTargets) {
+        const alpha = Math.min(1, delta * VISEME_ATTACK)
+        for (const name of visemes) {
+          visemeWeights[name] += ((visemeTargets[name] || 0) - visemeWeights[name]) * alpha
+          setExpression(name, visemeWeights[name])
+        }
+        return
+      }
       if (!isTalking) {
         clearMouth()
         return
@@ -377,6 +367,13 @@ export function createVRMFactory(glb, setupMaterial) {
     const setSpeaking = value => {
       talking = !!value
     }
+    // { aa, ih, ou, ee, oh } weights 0..1, or null to go back to the generic talking mouth
+    const setVisemes = weights => {
+      if (!weights && visemeTargets) {
+        for (const name of visemes) visemeWeights[name] = 0
+      }
+      visemeTargets = weights || null
+    }
 
     // world.updater.add(update)
     const emotes = {
@@ -1791,6 +1788,7 @@ export function createVRMFactory(glb, setupMaterial) {
         return Array.from(currentAdditiveAnims.keys())
       },
       setSpeaking,
+      setVisemes,
       // expression controls
       setExpression,
       setBlinkEnabled(active) {
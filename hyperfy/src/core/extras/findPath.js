@@ -0,0 +1,232 @@
+import * as THREE from './three'
+import { Layers } from './Layers'
+
+// sized around the agent capsule in ServerAgents (radius 0.3, height 1.6, step 0.5)
+const CELL_SIZE = 0.5
+const CLEARANCE = 0.4
+const HEIGHT = 1.6
+const STEP_HEIGHT = 0.5
+const MAX_DROP = 2
+const MAX_EXPANSIONS = 8000
+const SEARCH_MARGIN = 20 // cells we may detour outside the start/goal bounding box
+const GOAL_TOLERANCE = 1.5 // if the goal itself is blocked, get this close instead
+
+const DOWN = new THREE.Vector3(0, -1, 0)
+const v1 = new THREE.Vector3()
+
+const NEIGHBORS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+]
+
+/**
+ * Finds a walkable path between two points using grid A* over the physics scene.
+ *
+ * Cells are sampled lazily, only along the search frontier: a downward raycast finds
+ * the floor and two sphere overlaps check that a player capsule fits. Only static
+ * colliders count as obstacles, anything dynamic gets pushed out of the way instead.
+ * Each grid column resolves to a single floor, which is fine for lobby style worlds
+ * but won't route under bridges.
+ *
+ * Returns { path: [[x, y, z], ...], length } or null if the goal can't be reached.
+ */
+export function findPath(physics, from, to) {
+  const mask = Layers.player.mask & ~Layers.player.group
+  const cells = new Map() // key -> floor height, or null when blocked
+
+  const startX = toCell(from[0])
+  const startZ = toCell(from[2])
+  const goalX = toCell(to[0])
+  const goalZ = toCell(to[2])
+  const minX = Math.min(startX, goalX) - SEARCH_MARGIN
+  const maxX = Math.max(startX, goalX) + SEARCH_MARGIN
+  const minZ = Math.min(startZ, goalZ) - SEARCH_MARGIN
+  const maxZ = Math.max(startZ, goalZ) + SEARCH_MARGIN
+
+  function isStatic(handle) {
+    return handle?.node?.type !== 'dynamic'
+  }
+
+  function sample(cx, cz, fromHeight) {
+    const key = cx + ',' + cz
+    if (cells.has(key)) return cells.get(key)
+    const x = toWorld(cx)
+    const z = toWorld(cz)
+    let floor = null
+    // cast from just above step height so we find floors we can step onto but not ceilings
+    const origin = v1.set(x, fromHeight + STEP_HEIGHT + 0.1, z)
+    const hit = physics.raycast(origin, DOWN, STEP_HEIGHT + 0.1 + MAX_DROP, mask)
+    if (hit && hit.distance > 0) {
+      floor = hit.point.y
+      const low = physics.overlapSphere(CLEARANCE, v1.set(x, floor + STEP_HEIGHT + CLEARANCE, z), mask)
+      if (low.some(hit => isStatic(hit.handle))) floor = null
+    }
+    if (floor !== null) {
+      const high = physics.overlapSphere(CLEARANCE, v1.set(x, floor + HEIGHT - CLEARANCE, z), mask)
+      if (high.some(hit => isStatic(hit.handle))) floor = null
+    }
+    cells.set(key, floor)
+    return floor
+  }
+
+  function canStep(fromFloor, toFloor) {
+    if (toFloor === null) return false
+    const rise = toFloor - fromFloor
+    return rise <= STEP_HEIGHT && -rise <= MAX_DROP
+  }
+
+  function isClearLine(a, b) {
+    const distance = Math.hypot(b[0] - a[0], b[2] - a[2])
+    const steps = Math.ceil(distance / (CELL_SIZE / 2))
+    let floor = a[1]
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps
+      const cx = toCell(a[0] + (b[0] - a[0]) * t)
+      const cz = toCell(a[2] + (b[2] - a[2]) * t)
+      const next = sample(cx, cz, floor)
+      if (!canStep(floor, next)) return false
+      floor = next
+    }
+    return true
+  }
+
+  const heuristic = (cx, cz) => Math.hypot(goalX - cx, goalZ - cz)
+
+  // the agent is standing in its cell so it is always walkable
+  cells.set(startX + ',' + startZ, from[1])
+  const start = { cx: startX, cz: startZ, floor: from[1], g: 0, f: heuristic(startX, startZ), parent: null }
+  const open = new MinHeap()
+  const best = new Map([[startX + ',' + startZ, start]])
+  const closed = new Set()
+  open.push(start)
+
+  let closest = start
+  let closestH = start.f
+  let reached = null
+  let expansions = 0
+
+  while (open.size && expansions < MAX_EXPANSIONS) {
+    const node = open.pop()
+    const key = node.cx + ',' + node.cz
+    if (closed.has(key)) continue
+    closed.add(key)
+    expansions++
+    if (node.cx === goalX && node.cz === goalZ) {
+      reached = node
+      break
+    }
+    const h = node.f - node.g
+    if (h < closestH) {
+      closest = node
+      closestH = h
+    }
+    for (const [dx, dz] of NEIGHBORS) {
+      const cx = node.cx + dx
+      const cz = node.cz + dz
+      if (cx < minX || cx > maxX || cz < minZ || cz > maxZ) continue
+      const nKey = cx + ',' + cz
+      if (closed.has(nKey)) continue
+      const floor = sample(cx, cz, node.floor)
+      if (!canStep(node.floor, floor)) continue
+      if (dx && dz) {
+        // no cutting corners past obstacles
+        if (!canStep(node.floor, sample(node.cx + dx, node.cz, node.floor))) continue
+        if (!canStep(node.floor, sample(node.cx, node.cz + dz, node.floor))) continue
+      }
+      const g = node.g + (dx && dz ? Math.SQRT2 : 1)
+      const existing = best.get(nKey)
+      if (existing && existing.g <= g) continue
+      const next = { cx, cz, floor, g, f: g + heuristic(cx, cz), parent: node }
+      best.set(nKey, next)
+      open.push(next)
+    }
+  }
+
+  if (!reached) {
+    if (closestH * CELL_SIZE > GOAL_TOLERANCE) return null
+    reached = closest
+  }
+
+  // walk back to the start, then pull the string so we don't zig-zag through every cell
+  const nodes = []
+  for (let node = reached; node; node = node.parent) nodes.unshift(node)
+  const points = nodes.map(node => [toWorld(node.cx), node.floor, toWorld(node.cz)])
+  points[0] = from.slice()
+  if (reached.cx === goalX && reached.cz === goalZ) {
+    points[points.length - 1] = [to[0], reached.floor, to[2]]
+  }
+  const path = [points[0]]
+  let anchor = 0
+  while (anchor < points.length - 1) {
+    let next = points.length - 1
+    while (next > anchor + 1 && !isClearLine(points[anchor], points[next])) next--
+    path.push(points[next])
+    anchor = next
+  }
+
+  let length = 0
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1]
+    const b = path[i]
+    length += Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2])
+  }
+  path.shift() // callers already know where they are
+  return { path, length }
+}
+
+function toCell(n) {
+  return Math.round(n / CELL_SIZE)
+}
+
+function toWorld(n) {
+  return n * CELL_SIZE
+}
+
+class MinHeap {
+  constructor() {
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  push(item) {
+    const items = this.items
+    items.push(item)
+    let i = items.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (items[parent].f <= items[i].f) break
+      ;[items[parent], items[i]] = [items[i], items[parent]]
+      i = parent
+    }
+  }
+
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length) {
+      items[0] = last
+      let i = 0
+      while (i * 2 + 1 < items.length) {
+        const left = i * 2 + 1
+        const right = left + 1
+        let smallest = i
+        if (items[left].f < items[smallest].f) smallest = left
+        if (right < items.length && items[right].f < items[smallest].f) smallest = right
+        if (smallest === i) break
+        ;[items[smallest], items[i]] = [items[i], items[smallest]]
+        i = smallest
+      }
+    }
+    return top
+  }
+}
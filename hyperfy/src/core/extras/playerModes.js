@@ -0,0 +1,21 @@
+// Avatar animation modes, sent over the network as a player's `m`
+export const Modes = {
+  IDLE: 0,
+  WALK: 1,
+  RUN: 2,
+  JUMP: 3,
+  FALL: 4,
+  FLY: 5,
+  TALK: 6,
+  FLIP: 7,
+  BACKFLIP: 8,
+  SIDEFLIP_LEFT: 9,
+  SIDEFLIP_RIGHT: 10,
+  STRAFE_JUMP_LEFT: 11,
+  STRAFE_JUMP_RIGHT: 12,
+  GRINDING: 13,
+  CLIMBING: 14,
+  LEDGE_HANGING: 15,
+  AIR_DIVING: 16,
+  WALL_SLIDING: 17,
+}
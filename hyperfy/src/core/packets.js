@@ -26,6 +26,11 @@ const names = [
   'ai',
   'ping',
   'pong',
+  'agentInput',
+  'agentPath',
+  'audioStreamStart',
+  'audioStreamData',
+  'audioStreamStop',
 ]
 
 const byName = {}
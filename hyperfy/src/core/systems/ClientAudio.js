@@ -1,14 +1,24 @@
 import * as THREE from '../extras/three'
 
 import { System } from './System'
+import { analyzeVisemes } from '../extras/analyzeVisemes'
 
 const up = new THREE.Vector3(0, 1, 0)
 const v1 = new THREE.Vector3()
+const v2 = new THREE.Vector3()
+const q1 = new THREE.Quaternion()
+
+// streamed agent voice (see ServerNetwork audioStream packets)
+const JITTER_BUFFER = 0.2 // seconds of audio to collect before playback starts
+const REBUFFER = 0.05 // after an underrun, resume sooner so the gap stays short
+const MISSING_CHUNK_GRACE = 0.03 // how close to running dry we wait for a missing seq before skipping it
+const STREAM_TIMEOUT = 10 // seconds without data before we assume the stop packet got lost
 
 export class ClientAudio extends System {
   constructor(world) {
     super(world)
     this.handles = new Set()
+    this.streams = new Map() // streamId -> AudioStream
     this.ctx = new AudioContext() // new (window.AudioContext || window.webkitAudioContext)();
     this.masterGain = this.ctx.createGain()
     this.masterGain.connect(this.ctx.destination)
@@ -97,7 +107,31 @@ export class ClientAudio extends System {
     // ...
   }
 
+  startStream(data) {
+    this.streams.get(data.streamId)?.destroy()
+    const player = this.world.entities.getPlayer(data.playerId)
+    if (!player) return
+    this.streams.set(data.streamId, new AudioStream(this.world, player, data))
+  }
+
+  pushStream({ streamId, seq, samples }) {
+    // a suspended context doesn't advance, anything we schedule would pile up
+    if (!this.unlocked) return
+    this.streams.get(streamId)?.push(seq, samples)
+  }
+
+  stopStream({ streamId }) {
+    this.streams.get(streamId)?.stop()
+  }
+
   lateUpdate(delta) {
+    for (const [streamId, stream] of this.streams) {
+      stream.update()
+      if (stream.finished) {
+        stream.destroy()
+        this.streams.delete(streamId)
+      }
+    }
     const target = this.world.rig
     const dir = v1.set(0, 0, -1).applyQuaternion(target.quaternion)
     if (this.listener.positionX) {
@@ -133,6 +167,10 @@ export class ClientAudio extends System {
   }
 
   destroy() {
+    for (const stream of this.streams.values()) {
+      stream.destroy()
+    }
+    this.streams.clear()
     this.groupGains.music.disconnect()
     this.groupGains.sfx.disconnect()
     this.groupGains.voice.disconnect()
@@ -142,3 +180,196 @@ export class ClientAudio extends System {
     this.queue = []
   }
 }
+
+/**
+ * Plays a stream of raw PCM chunks positionally from a player's avatar.
+ *
+ * Chunks are decoded as they arrive and held by `seq` until JITTER_BUFFER seconds
+ * are queued, then scheduled back to back on the audio clock. Out of order chunks
+ * slot back into place, late ones are dropped, and a chunk that still hasn't shown
+ * up when playback is about to reach it gets skipped. If we run dry we rebuffer
+ * REBUFFER seconds before resuming.
+ */
+class AudioStream {
+  constructor(world, player, { sampleRate, channels, format }) {
+    this.world = world
+    this.player = player
+    this.ctx = world.audio.ctx
+    this.sampleRate = sampleRate
+    this.channels = channels
+    this.format = format
+    this.pending = new Map() // seq -> AudioBuffer
+    this.buffered = 0
+    this.nextSeq = null
+    this.nextTime = 0
+    this.playing = false
+    this.underrun = false
+    this.speaking = false
+    this.stopped = false
+    this.finished = false
+    this.lastDataAt = this.ctx.currentTime
+    this.sources = new Set()
+    this.lipSync = [] // { time, weights } on the audio clock, for whatever is scheduled
+    this.root = this.ctx.createGain()
+    this.panner = this.ctx.createPanner()
+    this.panner.panningModel = 'HRTF'
+    this.panner.distanceModel = 'inverse'
+    this.panner.refDistance = 1
+    this.panner.maxDistance = 40
+    this.panner.rolloffFactor = 3
+    this.panner.coneInnerAngle = 360
+    this.panner.coneOuterAngle = 360
+    this.panner.coneOuterGain = 0
+    this.root.connect(this.panner)
+    this.panner.connect(world.audio.groupGains.voice)
+  }
+
+  push(seq, samples) {
+    if (this.nextSeq !== null && seq < this.nextSeq) return // already played past it
+    const buffer = this.decode(samples)
+    if (!buffer) return
+    if (!this.pending.has(seq)) this.buffered += buffer.duration
+    this.pending.set(seq, buffer)
+    if (!this.playing && (this.nextSeq === null || seq < this.nextSeq)) {
+      this.nextSeq = seq
+    }
+    this.lastDataAt = this.ctx.currentTime
+    this.update()
+  }
+
+  stop() {
+    this.stopped = true
+  }
+
+  decode(samples) {
+    const bytes = samples instanceof Uint8Array ? samples : new Uint8Array(samples)
+    const bytesPerSample = this.format === 'f32' ? 4 : 2
+    const frames = Math.floor(bytes.byteLength / (bytesPerSample * this.channels))
+    if (!frames) return null
+    // chunks arrive as views into the packet, so read through a DataView instead of assuming alignment
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const buffer = this.ctx.createBuffer(this.channels, frames, this.sampleRate)
+    for (let c = 0; c < this.channels; c++) {
+      const data = buffer.getChannelData(c)
+      for (let i = 0; i < frames; i++) {
+        const offset = (i * this.channels + c) * bytesPerSample
+        data[i] = this.format === 'f32' ? view.getFloat32(offset, true) : view.getInt16(offset, true) / 32768
+      }
+    }
+    return buffer
+  }
+
+  update() {
+    const now = this.ctx.currentTime
+    if (!this.playing) {
+      if (!this.pending.size) {
+        if (this.stopped || now - this.lastDataAt > STREAM_TIMEOUT) this.finished = true
+        return
+      }
+      // the last few chunks of a stream may never add up to a full jitter buffer
+      if (this.buffered < (this.underrun ? REBUFFER : JITTER_BUFFER) && !this.stopped) return
+      this.playing = true
+      this.nextTime = now
+    }
+    while (this.pending.size) {
+      const buffer = this.pending.get(this.nextSeq)
+      if (!buffer) {
+        // keep waiting for the missing chunk while there is still audio queued ahead of it
+        if (!this.stopped && this.nextTime - now > MISSING_CHUNK_GRACE) break
+        this.nextSeq = Math.min(...this.pending.keys())
+        continue
+      }
+      this.pending.delete(this.nextSeq)
+      this.buffered -= buffer.duration
+      this.nextSeq++
+      this.schedule(buffer, Math.max(this.nextTime, now))
+    }
+    const speaking = this.nextTime > now
+    if (!speaking && !this.pending.size) {
+      // ran dry: wait for a (smaller) buffer before resuming
+      this.playing = false
+      this.underrun = true
+      if (this.stopped) this.finished = true
+    }
+    this.setSpeaking(speaking)
+    this.updateLipSync(now)
+    this.updatePosition()
+  }
+
+  schedule(buffer, time) {
+    const source = this.ctx.createBufferSource()
+    source.buffer = buffer
+    source.connect(this.root)
+    source.onended = () => {
+      source.disconnect()
+      this.sources.delete(source)
+    }
+    source.start(time)
+    this.sources.add(source)
+    this.nextTime = time + buffer.duration
+    for (const frame of analyzeVisemes(buffer.getChannelData(0), buffer.sampleRate)) {
+      frame.time += time
+      this.lipSync.push(frame)
+    }
+  }
+
+  setSpeaking(speaking) {
+    if (this.speaking === speaking) return
+    this.speaking = speaking
+    this.player.setSpeaking(speaking)
+    if (!speaking) {
+      this.lipSync.length = 0
+      this.player.setLipSync?.(null)
+    }
+  }
+
+  updateLipSync(now) {
+    if (!this.speaking) return
+    // the mouth follows what is audible right now, not what we just scheduled
+    let frame = null
+    while (this.lipSync.length && this.lipSync[0].time <= now) {
+      frame = this.lipSync.shift()
+    }
+    if (!frame) return
+    const muted = this.world.livekit?.isMuted(this.player.data.id)
+    this.player.setLipSync?.(muted ? null : frame.weights)
+  }
+
+  updatePosition() {
+    if (this.player.destroyed) {
+      this.finished = true
+      return
+    }
+    const audio = this.world.audio
+    this.root.gain.value = this.world.livekit?.isMuted(this.player.data.id) ? 0 : 1
+    const matrix = this.player.base.matrixWorld
+    const pos = v1.setFromMatrixPosition(matrix)
+    const qua = q1.setFromRotationMatrix(matrix)
+    const dir = v2.set(0, 0, -1).applyQuaternion(qua)
+    if (this.panner.positionX) {
+      const endTime = audio.ctx.currentTime + audio.lastDelta
+      this.panner.positionX.linearRampToValueAtTime(pos.x, endTime)
+      this.panner.positionY.linearRampToValueAtTime(pos.y, endTime)
+      this.panner.positionZ.linearRampToValueAtTime(pos.z, endTime)
+      this.panner.orientationX.linearRampToValueAtTime(dir.x, endTime)
+      this.panner.orientationY.linearRampToValueAtTime(dir.y, endTime)
+      this.panner.orientationZ.linearRampToValueAtTime(dir.z, endTime)
+    } else {
+      this.panner.setPosition(pos.x, pos.y, pos.z)
+      this.panner.setOrientation(dir.x, dir.y, dir.z)
+    }
+  }
+
+  destroy() {
+    for (const source of this.sources) {
+      source.onended = null
+      source.stop()
+      source.disconnect()
+    }
+    this.sources.clear()
+    this.pending.clear()
+    this.root.disconnect()
+    this.panner.disconnect()
+    if (!this.player.destroyed) this.setSpeaking(false)
+  }
+}
@@ -211,6 +211,18 @@ export class ClientNetwork extends System {
     this.world.livekit.setMuted(data.playerId, data.muted)
   }
 
+  onAudioStreamStart = data => {
+    this.world.audio?.startStream(data)
+  }
+
+  onAudioStreamData = data => {
+    this.world.audio?.pushStream(data)
+  }
+
+  onAudioStreamStop = data => {
+    this.world.audio?.stopStream(data)
+  }
+
   onPong = time => {
     this.world.stats?.onPong(time)
   }
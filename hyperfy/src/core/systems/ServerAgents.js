@@ -0,0 +1,314 @@
+import * as THREE from '../extras/three'
+import { isArray, isBoolean, isNumber } from 'lodash-es'
+import { System } from './System'
+import { Layers } from '../extras/Layers'
+import { DEG2RAD } from '../extras/general'
+import { findPath } from '../extras/findPath'
+import { Modes } from '../extras/playerModes'
+
+const UP = new THREE.Vector3(0, 1, 0)
+
+// matches PlayerLocal capsule + movement tuning so agents feel like everyone else
+const CAPSULE_RADIUS = 0.3
+const CAPSULE_HEIGHT = 1.6
+const WALK_SPEED = 3
+const RUN_SPEED = 6
+const GRAVITY = 20
+const JUMP_HEIGHT = 1.5
+const PUSH_DRAG = 20
+const FALL_RESPAWN_Y = -100
+
+const v1 = new THREE.Vector3()
+const q1 = new THREE.Quaternion()
+const e1 = new THREE.Euler(0, 0, 0, 'YXZ')
+
+/**
+ * Server Agents System
+ *
+ * - Runs on the server
+ * - Headless agents (see agent-manager) have no local physics, so they send `agentInput`
+ *   intents and we simulate a character controller for them here.
+ * - Movement is broadcast with `entityModified` exactly like a PlayerLocal would.
+ *
+ */
+export class ServerAgents extends System {
+  constructor(world) {
+    super(world)
+    this.bodies = new Map() // playerId -> AgentBody
+    this.lastSendAt = 0
+  }
+
+  has(playerId) {
+    return this.bodies.has(playerId)
+  }
+
+  setInput(player, input) {
+    let body = this.bodies.get(player.data.id)
+    if (!body) {
+      body = new AgentBody(this.world, player)
+      this.bodies.set(player.data.id, body)
+    }
+    body.setInput(input)
+  }
+
+  findPath(player, target) {
+    if (!isArray(target) || !isNumber(target[0]) || !isNumber(target[2])) return null
+    const body = this.bodies.get(player.data.id)
+    const from = body ? body.position.toArray() : player.data.position.slice()
+    const to = [target[0], isNumber(target[1]) ? target[1] : from[1], target[2]]
+    return findPath(this.world.physics, from, to)
+  }
+
+  // intercepts packets the server would normally send to a player to simulate locally.
+  // returns true if handled.
+  handlePacket(playerId, name, data) {
+    const body = this.bodies.get(playerId)
+    if (!body) return false
+    if (name === 'playerTeleport') {
+      body.teleport(data)
+      return true
+    }
+    if (name === 'playerPush') {
+      body.push(data.force)
+      return true
+    }
+    return false
+  }
+
+  remove(playerId) {
+    const body = this.bodies.get(playerId)
+    if (!body) return
+    body.destroy()
+    this.bodies.delete(playerId)
+  }
+
+  fixedUpdate(delta) {
+    for (const body of this.bodies.values()) {
+      body.fixedUpdate(delta)
+    }
+  }
+
+  update(delta) {
+    this.lastSendAt += delta
+    if (this.lastSendAt < this.world.networkRate) return
+    for (const body of this.bodies.values()) {
+      body.sendChanges()
+    }
+    this.lastSendAt = 0
+  }
+
+  destroy() {
+    for (const body of this.bodies.values()) {
+      body.destroy()
+    }
+    this.bodies.clear()
+  }
+}
+
+class AgentBody {
+  constructor(world, player) {
+    this.world = world
+    this.player = player
+
+    this.input = {
+      axis: new THREE.Vector3(),
+      run: false,
+      jump: false,
+      yaw: null,
+    }
+
+    this.position = new THREE.Vector3().fromArray(player.data.position)
+    this.quaternion = new THREE.Quaternion().fromArray(player.data.quaternion)
+    e1.setFromQuaternion(this.quaternion)
+    this.yaw = e1.y
+
+    this.velocity = new THREE.Vector3()
+    this.pushForce = null
+    this.grounded = false
+    this.mode = Modes.IDLE
+    this.axis = new THREE.Vector3()
+    this.teleported = false
+    this.lastState = null
+
+    this.initController()
+  }
+
+  initController() {
+    const desc = new PHYSX.PxCapsuleControllerDesc()
+    desc.height = CAPSULE_HEIGHT - CAPSULE_RADIUS * 2
+    desc.radius = CAPSULE_RADIUS
+    desc.climbingMode = PHYSX.PxCapsuleClimbingModeEnum.eCONSTRAINED
+    desc.slopeLimit = Math.cos(60 * DEG2RAD) // same as PlayerLocal slipping threshold
+    desc.material = this.world.physics.defaultMaterial
+    desc.contactOffset = 0.1
+    desc.stepOffset = 0.5
+    this.controller = this.world.physics.controllerManager.createController(desc)
+    PHYSX.destroy(desc)
+    this.controller.setFootPosition(this.position.toPxExtVec3())
+
+    // tag our shapes as the player layer so raycasts/triggers treat us like any other player
+    const actor = this.controller.getActor()
+    const nbShapes = actor.getNbShapes()
+    const shapeBuffer = new PHYSX.PxArray_PxShapePtr(nbShapes)
+    const shapesCount = actor.getShapes(shapeBuffer.begin(), nbShapes, 0)
+    for (let i = 0; i < shapesCount; i++) {
+      const shape = shapeBuffer.get(i)
+      const pairFlags =
+        PHYSX.PxPairFlagEnum.eNOTIFY_TOUCH_FOUND |
+        PHYSX.PxPairFlagEnum.eNOTIFY_TOUCH_LOST |
+        PHYSX.PxPairFlagEnum.eNOTIFY_CONTACT_POINTS
+      const filterData = new PHYSX.PxFilterData(Layers.player.group, Layers.player.mask, pairFlags, 0)
+      shape.setQueryFilterData(filterData)
+      shape.setSimulationFilterData(filterData)
+    }
+    this.actorHandle = this.world.physics.addActor(actor, {
+      controller: true,
+      tag: null,
+      playerId: this.player.data.id,
+      onTriggerEnter: null,
+      onTriggerLeave: null,
+    })
+
+    // the controller capsule replaces the kinematic proxy PlayerRemote keeps for us
+    if (this.player.body) this.player.body.active = false
+  }
+
+  setInput(input) {
+    if (isArray(input.axis)) {
+      this.input.axis.fromArray(input.axis)
+      this.input.axis.y = 0
+      if (this.input.axis.lengthSq() > 1) this.input.axis.normalize()
+    }
+    if (isBoolean(input.run)) this.input.run = input.run
+    if (input.jump === true) this.input.jump = true
+    if (Object.hasOwn(input, 'yaw')) this.input.yaw = isNumber(input.yaw) ? input.yaw : null
+  }
+
+  teleport({ position, rotationY }) {
+    this.position.fromArray(position)
+    this.controller.setFootPosition(this.position.toPxExtVec3())
+    this.velocity.set(0, 0, 0)
+    if (isNumber(rotationY)) {
+      this.yaw = rotationY
+      this.quaternion.setFromAxisAngle(UP, rotationY)
+    }
+    this.teleported = true
+  }
+
+  push(force) {
+    this.pushForce = new THREE.Vector3().fromArray(force)
+  }
+
+  fixedUpdate(delta) {
+    const input = this.input
+    const moving = input.axis.lengthSq() > 0
+    const running = moving && input.run
+
+    // the reference yaw acts like PlayerLocal's camera yaw: moves are relative to it
+    // and we turn to face it. without one we keep our current facing.
+    const refYaw = isNumber(input.yaw) ? input.yaw : this.yaw
+    if (isNumber(input.yaw) || moving) {
+      const alpha = 1 - Math.pow(0.00000001, delta)
+      this.quaternion.slerp(q1.setFromAxisAngle(UP, refYaw), alpha)
+      e1.setFromQuaternion(this.quaternion)
+      this.yaw = e1.y
+    }
+
+    this.axis.copy(input.axis)
+    const moveDir = v1.copy(input.axis).applyAxisAngle(UP, refYaw)
+    const speed = running ? RUN_SPEED : WALK_SPEED
+    this.velocity.x = moveDir.x * speed
+    this.velocity.z = moveDir.z * speed
+
+    if (this.grounded) {
+      if (input.jump) {
+        this.velocity.y = Math.sqrt(2 * GRAVITY * JUMP_HEIGHT)
+      } else {
+        this.velocity.y = -1 // keep us stuck to ramps and steps
+      }
+    } else {
+      this.velocity.y -= GRAVITY * delta
+    }
+    input.jump = false
+
+    if (this.pushForce) {
+      this.velocity.add(this.pushForce)
+      this.pushForce.multiplyScalar(Math.max(1 - PUSH_DRAG * delta, 0))
+      if (this.pushForce.length() < 0.01) this.pushForce = null
+    }
+
+    const displacement = v1.copy(this.velocity).multiplyScalar(delta)
+    const flags = this.controller.move(displacement.toPxVec3(), 0, delta, this.world.physics.controllerFilters)
+    this.grounded = flags.isSet(PHYSX.PxControllerCollisionFlagEnum.eCOLLISION_DOWN)
+    if (flags.isSet(PHYSX.PxControllerCollisionFlagEnum.eCOLLISION_UP) && this.velocity.y > 0) {
+      this.velocity.y = 0
+    }
+    this.position.copy(this.controller.getFootPosition())
+
+    // fell out of the world
+    if (this.position.y < FALL_RESPAWN_Y) {
+      const spawn = this.world.network.spawn
+      this.teleport({ position: spawn.position, rotationY: null })
+    }
+
+    if (!this.grounded) {
+      this.mode = this.velocity.y > 0 ? Modes.JUMP : Modes.FALL
+    } else if (moving) {
+      this.mode = running ? Modes.RUN : Modes.WALK
+    } else {
+      this.mode = Modes.IDLE
+    }
+  }
+
+  sendChanges() {
+    if (!this.lastState) {
+      this.lastState = {
+        p: new THREE.Vector3().fromArray(this.player.data.position),
+        q: new THREE.Quaternion().fromArray(this.player.data.quaternion),
+        m: null,
+        a: new THREE.Vector3(),
+      }
+    }
+    const data = {
+      id: this.player.data.id,
+    }
+    let hasChanges
+    if (!this.lastState.p.equals(this.position)) {
+      data.p = this.position.toArray()
+      this.lastState.p.copy(this.position)
+      hasChanges = true
+    }
+    if (!this.lastState.q.equals(this.quaternion)) {
+      data.q = this.quaternion.toArray()
+      this.lastState.q.copy(this.quaternion)
+      hasChanges = true
+    }
+    if (this.lastState.m !== this.mode) {
+      data.m = this.mode
+      this.lastState.m = this.mode
+      hasChanges = true
+    }
+    if (!this.lastState.a.equals(this.axis)) {
+      data.a = this.axis.toArray()
+      this.lastState.a.copy(this.axis)
+      hasChanges = true
+    }
+    if (this.teleported) {
+      data.t = true
+      this.teleported = false
+    }
+    if (hasChanges) {
+      this.player.modify(data)
+      // everyone including the agent itself, it mirrors its own position from these
+      this.world.network.send('entityModified', data)
+    }
+  }
+
+  destroy() {
+    this.actorHandle?.destroy()
+    this.actorHandle = null
+    this.controller?.release()
+    this.controller = null
+    if (this.player.body && !this.player.destroyed) this.player.body.active = true
+  }
+}
@@ -50,6 +50,7 @@ export class ServerLiveKit extends System {
     if (muted && !this.muted.has(playerId)) {
       this.muted.add(playerId)
       this.world.network.send('mute', { playerId, muted })
+      this.world.network.stopAudioStreams(playerId)
       return
     }
     if (!muted && this.muted.has(playerId)) {
@@ -4,7 +4,7 @@ import { Socket } from '../Socket'
 import { uuid } from '../utils'
 import { System } from './System'
 import { createJWT, readJWT } from '../utils-server'
-import { cloneDeep, isNumber } from 'lodash-es'
+import { cloneDeep, isNumber, isString } from 'lodash-es'
 import * as THREE from '../extras/three'
 import { Ranks } from '../extras/ranks'
 
@@ -14,6 +14,13 @@ const defaultSpawn = '{ "position": [0, 0, 0], "quaternion": [0, 0, 0, 1] }'
 
 const HEALTH_MAX = 100
 
+const AUDIO_FORMATS = ['s16', 'f32']
+const MAX_AUDIO_CHUNK_BYTES = 64 * 1024
+
+// path planning runs A* on the main thread, so each agent gets a budget
+const PATH_REQUESTS_PER_SECOND = 4
+const PATH_REQUEST_BURST = 8
+
 /**
  * Server Network System
  *
@@ -33,6 +40,7 @@ export class ServerNetwork extends System {
     this.dirtyApps = new Set()
     this.isServer = true
     this.queue = []
+    this.audioStreams = new Map() // streamId -> { streamId, playerId, sampleRate, channels, format }
   }
 
   init({ db, collections }) {
@@ -88,6 +96,8 @@ export class ServerNetwork extends System {
   }
 
   sendTo(socketId, name, data) {
+    // agent bodies are simulated here so their teleports/pushes never leave the server
+    if (this.world.agents.handlePacket(socketId, name, data)) return
     const socket = this.sockets.get(socketId)
     socket?.send(name, data)
   }
@@ -259,6 +269,12 @@ export class ServerNetwork extends System {
       // create socket
       const socket = new Socket({ id: user.id, ws, network: this })
 
+      // headless agents (see agent-manager) join with ?agent=true and are the only
+      // ones allowed to drive a server-side body and plan paths
+      socket.isAgent = params.agent === 'true'
+      socket.pathTokens = PATH_REQUEST_BURST
+      socket.pathTokensAt = performance.now()
+
       // spawn player
       socket.player = this.world.entities.add(
         {
@@ -304,6 +320,11 @@ export class ServerNetwork extends System {
 
       this.sockets.set(socket.id, socket)
 
+      // catch up on anyone mid-sentence so their remaining audio plays
+      for (const stream of this.audioStreams.values()) {
+        socket.send('audioStreamStart', stream)
+      }
+
       // enter events on the server are sent after the snapshot.
       // on the client these are sent during PlayerRemote.js entity instantiation!
       this.world.events.emit('enter', { playerId: socket.player.data.id })
@@ -568,12 +589,78 @@ export class ServerNetwork extends System {
     this.world.ai.onAction(action)
   }
 
+  onAgentInput = (socket, input) => {
+    if (!socket.isAgent || !socket.player || !input) return
+    this.world.agents.setInput(socket.player, input)
+  }
+
+  onAgentPath = (socket, data) => {
+    if (!socket.isAgent || !socket.player || !data) return
+    const now = performance.now()
+    socket.pathTokens = Math.min(
+      PATH_REQUEST_BURST,
+      socket.pathTokens + ((now - socket.pathTokensAt) / 1000) * PATH_REQUESTS_PER_SECOND
+    )
+    socket.pathTokensAt = now
+    if (socket.pathTokens < 1) {
+      socket.send('agentPath', { requestId: data.requestId, path: null, length: 0, error: 'rate_limited' })
+      return
+    }
+    socket.pathTokens--
+    const result = this.world.agents.findPath(socket.player, data.target)
+    socket.send('agentPath', {
+      requestId: data.requestId,
+      path: result?.path || null,
+      length: result?.length || 0,
+    })
+  }
+
+  onAudioStreamStart = (socket, data) => {
+    const player = socket.player
+    if (!player || !data || !isString(data.streamId)) return
+    const { streamId, sampleRate, channels, format } = data
+    if (!isNumber(sampleRate) || sampleRate < 8000 || sampleRate > 48000) return
+    if (channels !== 1 && channels !== 2) return
+    if (!AUDIO_FORMATS.includes(format)) return
+    if (this.world.livekit.muted.has(player.data.id)) return
+    // one stream per player, a new one replaces whatever was still playing
+    this.stopAudioStreams(player.data.id)
+    // never trust the sender's playerId, listeners attach the audio to this avatar
+    const stream = { streamId, playerId: player.data.id, sampleRate, channels, format }
+    this.audioStreams.set(streamId, stream)
+    this.send('audioStreamStart', stream, socket.id)
+  }
+
+  onAudioStreamData = (socket, data) => {
+    const stream = this.audioStreams.get(data?.streamId)
+    if (!stream || stream.playerId !== socket.player?.data.id) return
+    if (!isNumber(data.seq) || !data.samples || data.samples.byteLength > MAX_AUDIO_CHUNK_BYTES) return
+    this.send('audioStreamData', { streamId: stream.streamId, seq: data.seq, samples: data.samples }, socket.id)
+  }
+
+  onAudioStreamStop = (socket, data) => {
+    const stream = this.audioStreams.get(data?.streamId)
+    if (!stream || stream.playerId !== socket.player?.data.id) return
+    this.audioStreams.delete(stream.streamId)
+    this.send('audioStreamStop', { streamId: stream.streamId }, socket.id)
+  }
+
+  stopAudioStreams(playerId) {
+    for (const stream of this.audioStreams.values()) {
+      if (stream.playerId !== playerId) continue
+      this.audioStreams.delete(stream.streamId)
+      this.send('audioStreamStop', { streamId: stream.streamId })
+    }
+  }
+
   onPing = (socket, time) => {
     socket.send('pong', time)
   }
 
   onDisconnect = (socket, code) => {
     this.world.livekit.clearModifiers(socket.id)
+    this.world.agents.remove(socket.id)
+    this.stopAudioStreams(socket.id)
     socket.player.destroy(true)
     this.sockets.delete(socket.id)
   }